@@ -7,26 +7,195 @@ const config = require('./config.js');
 const { log } = require('./debug.js');
 
 const actions = {
+  // Whether the game's flag mode is on (flagMode scheme)
+  flagModeOn: false,
+
+  /**
+   * Input schemes: the gestures a game uses to reveal a cell, to toggle its flag, and
+   * to chord (open every unflagged neighbor of a satisfied number).
+   * Picked by `config.input.scheme`; more can be added with registerScheme().
+   */
+  schemes: {
+    // Tap reveals, long press flags
+    longPress: {
+      reveal(x, y) {
+        click(x, y);
+      },
+      flag(x, y) {
+        longClick(x, y, config.delays.longPress);
+      },
+      chord(x, y) {
+        click(x, y);
+      }
+    },
+
+    // A button switches taps between revealing and flagging
+    flagMode: {
+      reveal(x, y) {
+        actions.setFlagMode(false);
+        click(x, y);
+      },
+      flag(x, y) {
+        actions.setFlagMode(true);
+        click(x, y);
+      },
+      chord(x, y) {
+        actions.setFlagMode(false);
+        click(x, y);
+      }
+    },
+
+    // Tap reveals, double tap flags
+    doubleTap: {
+      reveal(x, y) {
+        click(x, y);
+      },
+      flag(x, y) {
+        click(x, y);
+        sleep(config.input.doubleTapGap);
+        click(x, y);
+      },
+      chord(x, y) {
+        click(x, y);
+      }
+    },
+
+    // Tap reveals, tapping with two fingers at once flags
+    twoFinger: {
+      reveal(x, y) {
+        click(x, y);
+      },
+      flag(x, y) {
+        const half = Math.round(config.input.twoFingerSpread / 2);
+        gestures([0, 50, [x - half, y]], [0, 50, [x + half, y]]);
+      },
+      chord(x, y) {
+        click(x, y);
+      }
+    }
+  },
+
+  /**
+   * Add or replace an input scheme
+   * @param {string} name - Scheme name for `config.input.scheme`
+   * @param {Object} scheme - {reveal(x, y), flag(x, y), chord(x, y)}
+   */
+  registerScheme(name, scheme) {
+    this.schemes[name] = scheme;
+  },
+
   /**
-   * Reveal a cell by tapping it
+   * Get the gestures for the configured scheme.
+   * With `swapGestures`, the game reveals with the flag gesture and flags with the reveal one.
+   * @returns {Object} {reveal(x, y), flag(x, y), chord(x, y)}
+   */
+  getScheme() {
+    let scheme = this.schemes[config.input.scheme];
+    if (!scheme) {
+      log('warn', `Unknown input scheme "${config.input.scheme}", using longPress`);
+      scheme = this.schemes.longPress;
+    }
+
+    if (config.input.swapGestures && scheme !== this.schemes.flagMode) {
+      return { reveal: scheme.flag, flag: scheme.reveal, chord: scheme.chord };
+    }
+    return scheme;
+  },
+
+  /**
+   * Switch the game's flag mode on or off with its toggle button, if it isn't already
+   * @param {boolean} on - Desired mode
+   */
+  setFlagMode(on) {
+    if (this.flagModeOn === on) return;
+
+    const button = this.getToggleButton();
+    if (!button) {
+      log('error', 'flagMode scheme needs config.input.toggleButton or a flagToggle HUD region');
+      return;
+    }
+
+    log('debug', `Flag mode ${on ? 'on' : 'off'}`);
+    click(button.x, button.y);
+    sleep(config.input.toggleDelay);
+    this.flagModeOn = on;
+  },
+
+  /**
+   * Find the flag-mode button: configured, or the center of the flagToggle HUD region
+   * @returns {Object|null} {x, y} or null if unknown
+   */
+  getToggleButton() {
+    if (config.input.toggleButton) return config.input.toggleButton;
+
+    const region = config.hud.regions.flagToggle;
+    if (!region) return null;
+    return {
+      x: Math.round((region.left + region.right) / 2),
+      y: Math.round((region.top + region.bottom) / 2)
+    };
+  },
+
+  /**
+   * Forget tracked input state for a new game (flag mode starts off)
+   */
+  resetInputState() {
+    this.flagModeOn = false;
+  },
+
+  /**
+   * Correct tracked input state after an action had the wrong effect.
+   * In flag mode, a reveal that placed a flag means the mode was on, and a flag
+   * that revealed means it was off.
+   * @param {string} action - "reveal" or "flag"
+   * @param {string} state - Cell state the action produced
+   */
+  noteUnexpected(action, state) {
+    if (config.input.scheme !== 'flagMode') return;
+
+    if (action === 'reveal' && state === 'flag') this.flagModeOn = true;
+    if (action === 'flag' && state === 'revealed') this.flagModeOn = false;
+  },
+
+  /**
+   * Reveal a cell
    * @param {number} x - Screen x coordinate
    * @param {number} y - Screen y coordinate
    */
   revealCell(x, y) {
     log('debug', `Revealing cell at (${x}, ${y})`);
+    this.getScheme().reveal(x, y);
+  },
+
+  /**
+   * Chord on a satisfied number to open all of its unflagged neighbors
+   * @param {number} x - Screen x coordinate of the number
+   * @param {number} y - Screen y coordinate of the number
+   */
+  chordCell(x, y) {
+    log('debug', `Chording at (${x}, ${y})`);
+    const scheme = this.getScheme();
+    (scheme.chord || scheme.reveal)(x, y);
+  },
+
+  /**
+   * Tap a point outside the board, such as a dialog button
+   * @param {number} x - Screen x coordinate
+   * @param {number} y - Screen y coordinate
+   */
+  tap(x, y) {
+    log('debug', `Tapping (${x}, ${y})`);
     click(x, y);
-    sleep(config.delays.afterClick);
   },
 
   /**
-   * Place or remove a flag by long-pressing
+   * Place or remove a flag with the scheme's flag gesture
    * @param {number} x - Screen x coordinate
    * @param {number} y - Screen y coordinate
    */
   toggleFlag(x, y) {
     log('debug', `Toggling flag at (${x}, ${y})`);
-    longClick(x, y, config.delays.longPress);
-    sleep(config.delays.afterFlag);
+    this.getScheme().flag(x, y);
   },
 
   /**
@@ -93,7 +262,6 @@ const actions = {
 
     log('info', `Scrolling ${direction} by ${distance}px`);
     swipe(startX, startY, endX, endY, 300);
-    sleep(500); // Wait for scroll animation
   },
 
   /**
@@ -4,9 +4,14 @@
  * Makes bot device-agnostic - works on any Android device
  */
 
+const settings = require('./config.js');
+const vision = require('./vision.js');
 const { log } = require('./debug.js');
 
 const autoConfig = {
+  // Color samples from confidently classified cells, by state: [{r, g, b}]
+  colorSamples: { covered: [], revealed: [], flag: [], mine: [] },
+
   /**
    * Automatically detect all configuration from a screenshot
    * @param {Image} img - Captured screen image
@@ -20,7 +25,8 @@ const autoConfig = {
       screenHeight: img.getHeight(),
       gameArea: {},
       cellSize: 0,
-      colors: {}
+      colors: {},
+      hudRegions: {}
     };
 
     log('info', `Screen size: ${config.screenWidth}x${config.screenHeight}`);
@@ -34,6 +40,9 @@ const autoConfig = {
     // Sample colors from actual cells
     config.colors = this.sampleColors(img, config.gameArea, config.cellSize);
 
+    // Map the HUD around the grid
+    config.hudRegions = this.detectHudRegions(img, config.gameArea);
+
     log('info', 'Auto-configuration complete!');
     log('info', `Game area: ${JSON.stringify(config.gameArea)}`);
     log('info', `Cell size: ${config.cellSize}px`);
@@ -42,71 +51,265 @@ const autoConfig = {
   },
 
   /**
-   * Detect game area by finding where UI ends and grid begins
+   * Detect game area by finding where UI ends and grid begins.
+   * The screen is sampled on a coarse lattice and each sample is marked if it looks like
+   * a cell. The grid is the longest run of rows with cell content, then the longest run
+   * of columns inside those rows, then the rows again inside those columns, so side
+   * panels, letterboxing and HUD bars are all cut away.
    * @param {Image} img - Captured image
    * @returns {Object} {top, bottom, left, right}
    */
   detectGameArea(img) {
-    const width = img.getWidth();
-    const height = img.getHeight();
-
-    // Find top boundary (where grid starts)
-    let top = 100;
-    for (let y = 50; y < 400; y += 10) {
-      let gameContentCount = 0;
-
-      // Sample across the width
-      for (let x = 50; x < width - 50; x += 50) {
-        const color = images.pixel(img, x, y);
-        const r = colors.red(color);
-        const g = colors.green(color);
-        const b = colors.blue(color);
-
-        // Look for game cell colors (gray unrevealed or blue revealed)
-        // Gray: high RGB values, similar R/G/B
-        // Blue: high B, medium-high R/G
-        if ((r > 150 && g > 150 && b > 150) || // Gray cells
-            (b > 150 && r > 100 && r < 200)) {  // Blue cells
-          gameContentCount++;
+    const frame = vision.readFrame(img);
+    const step = 10;
+    const cols = Math.floor(frame.width / step);
+    const rows = Math.floor(frame.height / step);
+
+    const mask = [];
+    for (let j = 0; j < rows; j++) {
+      const row = [];
+      for (let i = 0; i < cols; i++) {
+        row.push(this.looksLikeCell(frame.pixels[(j * step + step / 2) * frame.width + i * step + step / 2]));
+      }
+      mask.push(row);
+    }
+
+    // Share of marked samples in each row or column, within the given span
+    const rowShares = (from, to) => mask.map(row => {
+      let marked = 0;
+      for (let i = from; i <= to; i++) marked += row[i] ? 1 : 0;
+      return marked / (to - from + 1);
+    });
+    const colShares = (from, to) => mask[0].map((_, i) => {
+      let marked = 0;
+      for (let j = from; j <= to; j++) marked += mask[j][i] ? 1 : 0;
+      return marked / (to - from + 1);
+    });
+
+    let rowRun = this.longestRun(rowShares(0, cols - 1).map(share => share >= 0.3), 2);
+    if (!rowRun) {
+      log('warn', 'No grid content found, using the whole screen');
+      return { top: 0, bottom: frame.height, left: 0, right: frame.width };
+    }
+
+    const colRun = this.longestRun(colShares(rowRun.start, rowRun.end).map(share => share >= 0.5), 2) ||
+      { start: 0, end: cols - 1 };
+    rowRun = this.longestRun(rowShares(colRun.start, colRun.end).map(share => share >= 0.5), 2) || rowRun;
+
+    const top = rowRun.start * step;
+    const bottom = Math.min(frame.height, (rowRun.end + 1) * step);
+    const left = colRun.start * step;
+    const right = Math.min(frame.width, (colRun.end + 1) * step);
+
+    log('debug', `Detected game area: top=${top}, bottom=${bottom}, left=${left}, right=${right}`);
+
+    return { top, bottom, left, right };
+  },
+
+  /**
+   * Check whether a color could be a game cell
+   * Gray: high RGB values (unrevealed); blue: high B, medium-high R/G (revealed)
+   * @param {number} color - Color as integer
+   * @returns {boolean} True if the color looks like a cell
+   */
+  looksLikeCell(color) {
+    const r = (color >> 16) & 0xff;
+    const g = (color >> 8) & 0xff;
+    const b = color & 0xff;
+    return (r > 150 && g > 150 && b > 150) || (b > 150 && r > 100 && r < 200);
+  },
+
+  /**
+   * Find the longest run of true values, bridging short gaps (grid lines, digits)
+   * @param {Array<boolean>} flags - Values to scan
+   * @param {number} maxGap - Longest run of false values that doesn't break a run
+   * @returns {Object|null} {start, end} inclusive indices, or null if no value is true
+   */
+  longestRun(flags, maxGap) {
+    let best = null;
+    let start = -1;
+    let lastTrue = -1;
+
+    for (let i = 0; i <= flags.length; i++) {
+      if (i < flags.length && flags[i]) {
+        if (start < 0 || i - lastTrue - 1 > maxGap) {
+          if (start >= 0 && (!best || lastTrue - start > best.end - best.start)) {
+            best = { start, end: lastTrue };
+          }
+          start = i;
         }
+        lastTrue = i;
       }
+    }
+    if (start >= 0 && (!best || lastTrue - start > best.end - best.start)) {
+      best = { start, end: lastTrue };
+    }
 
-      // If we find game content across multiple columns, this is the top
-      if (gameContentCount >= 3) {
-        top = y;
-        break;
+    return best;
+  },
+
+  /**
+   * Find the HUD around the grid and name its parts.
+   * The bars and panels outside the game area are exposed whole (topBar, bottomBar,
+   * leftPanel, rightPanel). Above the grid (and no wider than it, to stay clear of
+   * letterboxing), blobs that stand out from the background are found, and the row of
+   * blobs nearest the grid is named left to right after `config.hud.layout`
+   * (mine counter, restart button, timer by default).
+   * @param {Image} img - Captured image
+   * @param {Object} gameArea - Detected game area
+   * @returns {Object} Regions by name, each {left, top, right, bottom}
+   */
+  detectHudRegions(img, gameArea) {
+    const frame = vision.readFrame(img);
+    const regions = {};
+    const minBand = 20;
+
+    if (gameArea.top >= minBand) {
+      regions.topBar = { left: 0, top: 0, right: frame.width, bottom: gameArea.top };
+    }
+    if (frame.height - gameArea.bottom >= minBand) {
+      regions.bottomBar = { left: 0, top: gameArea.bottom, right: frame.width, bottom: frame.height };
+    }
+    if (gameArea.left >= minBand) {
+      regions.leftPanel = { left: 0, top: gameArea.top, right: gameArea.left, bottom: gameArea.bottom };
+    }
+    if (frame.width - gameArea.right >= minBand) {
+      regions.rightPanel = { left: gameArea.right, top: gameArea.top, right: frame.width, bottom: gameArea.bottom };
+    }
+
+    if (regions.topBar) {
+      const above = { left: gameArea.left, top: 0, right: gameArea.right, bottom: gameArea.top };
+      const blobs = this.findBlobs(frame, above);
+
+      // The HUD row is the row of blobs nearest the grid (the status bar sits above it)
+      const anchor = blobs.reduce((best, blob) => (!best || blob.bottom > best.bottom ? blob : best), null);
+      if (anchor) {
+        const hudRow = blobs
+          .filter(blob => blob.top < anchor.bottom && blob.bottom > anchor.top)
+          .sort((a, b) => a.left - b.left);
+        Object.assign(regions, this.nameHudItems(hudRow, above));
+      }
+    }
+
+    log('debug', `HUD regions: ${Object.keys(regions).join(', ') || 'none'}`);
+    return regions;
+  },
+
+  /**
+   * Find connected areas that differ from a region's background
+   * @param {Object} frame - Frame from vision.readFrame()
+   * @param {Object} region - {left, top, right, bottom}
+   * @returns {Array<Object>} Bounding boxes {left, top, right, bottom}
+   */
+  findBlobs(frame, region) {
+    const step = 8;
+    const cols = Math.floor((region.right - region.left) / step);
+    const rows = Math.floor((region.bottom - region.top) / step);
+    if (cols < 1 || rows < 1) return [];
+
+    const colorAt = (i, j) => frame.pixels[(region.top + j * step) * frame.width + region.left + i * step];
+
+    // Background is the most common color in the region
+    const counts = new Map();
+    for (let j = 0; j < rows; j++) {
+      for (let i = 0; i < cols; i++) {
+        const color = colorAt(i, j) & 0xfcfcfc;
+        counts.set(color, (counts.get(color) || 0) + 1);
+      }
+    }
+    let background = 0;
+    let backgroundCount = 0;
+    for (const [color, count] of counts) {
+      if (count > backgroundCount) {
+        background = color;
+        backgroundCount = count;
       }
     }
 
-    // Find bottom boundary
-    let bottom = height - 50;
-    for (let y = height - 50; y > height - 400; y -= 10) {
-      let gameContentCount = 0;
+    const differs = (color) => Math.abs(((color >> 16) & 0xff) - ((background >> 16) & 0xff)) +
+      Math.abs(((color >> 8) & 0xff) - ((background >> 8) & 0xff)) +
+      Math.abs((color & 0xff) - (background & 0xff)) > 60;
 
-      for (let x = 50; x < width - 50; x += 50) {
-        const color = images.pixel(img, x, y);
-        const r = colors.red(color);
-        const g = colors.green(color);
-        const b = colors.blue(color);
+    const marked = [];
+    for (let j = 0; j < rows; j++) {
+      for (let i = 0; i < cols; i++) marked.push(differs(colorAt(i, j)));
+    }
 
-        if ((r > 150 && g > 150 && b > 150) || (b > 150 && r > 100 && r < 200)) {
-          gameContentCount++;
+    // Flood fill, joining samples up to two steps apart so digits merge into one blob
+    const seen = new Array(marked.length).fill(false);
+    const blobs = [];
+    for (let index = 0; index < marked.length; index++) {
+      if (!marked[index] || seen[index]) continue;
+
+      const box = { minI: Infinity, maxI: -1, minJ: Infinity, maxJ: -1, size: 0 };
+      const stack = [index];
+      seen[index] = true;
+
+      while (stack.length > 0) {
+        const current = stack.pop();
+        const i = current % cols;
+        const j = Math.floor(current / cols);
+        box.minI = Math.min(box.minI, i);
+        box.maxI = Math.max(box.maxI, i);
+        box.minJ = Math.min(box.minJ, j);
+        box.maxJ = Math.max(box.maxJ, j);
+        box.size++;
+
+        for (let dj = -2; dj <= 2; dj++) {
+          for (let di = -2; di <= 2; di++) {
+            const ni = i + di;
+            const nj = j + dj;
+            if (ni < 0 || nj < 0 || ni >= cols || nj >= rows) continue;
+            const next = nj * cols + ni;
+            if (marked[next] && !seen[next]) {
+              seen[next] = true;
+              stack.push(next);
+            }
+          }
         }
       }
 
-      if (gameContentCount >= 3) {
-        bottom = y;
-        break;
+      // Ignore specks
+      if (box.size >= 3) {
+        blobs.push({
+          left: region.left + box.minI * step,
+          top: region.top + box.minJ * step,
+          right: region.left + (box.maxI + 1) * step,
+          bottom: region.top + (box.maxJ + 1) * step
+        });
       }
     }
 
-    // Most infinite minesweeper games use full width
-    const left = 0;
-    const right = width;
+    return blobs;
+  },
 
-    log('debug', `Detected game area: top=${top}, bottom=${bottom}, left=${left}, right=${right}`);
+  /**
+   * Name a left-to-right row of HUD blobs after `config.hud.layout`.
+   * With more blobs than names, the outermost and evenly spaced ones between are used;
+   * with fewer, each blob takes the name for its position across the span.
+   * @param {Array<Object>} blobs - Blobs sorted by left edge
+   * @param {Object} span - Region the blobs were found in
+   * @returns {Object} Regions by name
+   */
+  nameHudItems(blobs, span) {
+    const names = settings.hud.layout;
+    const named = {};
+    if (blobs.length === 0 || names.length === 0) return named;
+
+    if (blobs.length >= names.length) {
+      names.forEach((name, k) => {
+        const index = names.length === 1 ? 0 : Math.round(k * (blobs.length - 1) / (names.length - 1));
+        named[name] = blobs[index];
+      });
+    } else {
+      for (const blob of blobs) {
+        const position = ((blob.left + blob.right) / 2 - span.left) / (span.right - span.left);
+        const name = names[Math.min(names.length - 1, Math.floor(position * names.length))];
+        if (!named[name]) named[name] = blob;
+      }
+    }
 
-    return { top, bottom, left, right };
+    return named;
   },
 
   /**
@@ -253,16 +456,166 @@ const autoConfig = {
     return colorConfig;
   },
 
+  /**
+   * Forget pooled color samples, so a new layout or game isn't pulled back toward
+   * the colors of the old one
+   */
+  resetColorSamples() {
+    this.colorSamples = { covered: [], revealed: [], flag: [], mine: [] };
+  },
+
   /**
    * Refine color detection during gameplay
-   * Call this after revealing several cells to improve accuracy
-   * @param {Image} img - Current screenshot
+   * Call this after revealing several cells to improve accuracy.
+   * Samples from known cells are pooled until the next calibration and clustered with k-means,
+   * seeded at the current colors. Each state takes the centroid of the cluster most of
+   * its samples fall in, and a threshold that covers that cluster without reaching
+   * into its neighbors.
+   * @param {Object} frame - Frame from vision.readFrame()
    * @param {Array} knownCells - Array of {x, y, state} for cells with known states
    */
-  refineColors(img, knownCells) {
-    // TODO: Use machine learning or clustering to refine colors
-    // based on cells with known states from gameplay
-    log('debug', 'Color refinement not yet implemented');
+  refineColors(frame, knownCells) {
+    const { maxSamples, minSamples } = settings.refine;
+
+    for (const cell of knownCells) {
+      const samples = this.colorSamples[cell.state];
+      if (!samples) continue;
+
+      const color = frame.pixels[cell.y * frame.width + cell.x];
+      samples.push({ r: (color >> 16) & 0xff, g: (color >> 8) & 0xff, b: color & 0xff });
+      if (samples.length > maxSamples) samples.shift();
+    }
+
+    const states = Object.keys(this.colorSamples)
+      .filter(state => this.colorSamples[state].length >= minSamples);
+    if (states.length === 0) return;
+
+    const centroids = this.clusterColors(states);
+
+    for (const state of states) {
+      const { centroid, members } = this.clusterOf(state, centroids);
+      if (!centroid || members.length === 0) continue;
+
+      // Don't let a threshold reach halfway to another state's color
+      const others = centroids.filter(c => c !== centroid);
+      const gap = Math.min(...others.map(c => this.colorDistance(c, centroid)));
+
+      const spread = members.map(s => this.colorDistance(s, centroid)).sort((a, b) => a - b);
+      const covering = spread[Math.min(spread.length - 1, Math.floor(spread.length * settings.refine.percentile))];
+
+      let threshold = Math.ceil(covering / 3);
+      if (isFinite(gap)) threshold = Math.min(threshold, Math.floor(gap / 6));
+      threshold = Math.max(settings.refine.minThreshold, Math.min(settings.refine.maxThreshold, threshold));
+
+      this.updateColor(state, centroid, threshold);
+    }
+  },
+
+  /**
+   * Run k-means over every pooled sample, one cluster per state
+   * @param {Array<string>} states - States with enough samples
+   * @returns {Array<Object>} Centroids {r, g, b}, in the same order as states
+   */
+  clusterColors(states) {
+    const points = [];
+    for (const state of states) points.push(...this.colorSamples[state]);
+
+    const centroids = states.map(state => {
+      const color = colors.parseColor(settings.colors[state]);
+      return { r: colors.red(color), g: colors.green(color), b: colors.blue(color) };
+    });
+
+    for (let iteration = 0; iteration < settings.refine.iterations; iteration++) {
+      const sums = centroids.map(() => ({ r: 0, g: 0, b: 0, n: 0 }));
+
+      for (const p of points) {
+        const sum = sums[this.nearestCentroid(p, centroids)];
+        sum.r += p.r;
+        sum.g += p.g;
+        sum.b += p.b;
+        sum.n++;
+      }
+
+      let moved = false;
+      sums.forEach((sum, i) => {
+        if (sum.n === 0) return; // Keep an empty cluster where it was
+        const next = { r: sum.r / sum.n, g: sum.g / sum.n, b: sum.b / sum.n };
+        if (this.colorDistance(next, centroids[i]) > 0.5) moved = true;
+        centroids[i] = next;
+      });
+
+      if (!moved) break;
+    }
+
+    return centroids;
+  },
+
+  /**
+   * Find the cluster most of a state's samples were assigned to
+   * @param {string} state - Cell state
+   * @param {Array<Object>} centroids - Result of clusterColors()
+   * @returns {Object} {centroid, members} with members the state's samples in that cluster
+   */
+  clusterOf(state, centroids) {
+    const groups = centroids.map(() => []);
+    for (const s of this.colorSamples[state]) {
+      groups[this.nearestCentroid(s, centroids)].push(s);
+    }
+
+    let best = 0;
+    groups.forEach((group, i) => {
+      if (group.length > groups[best].length) best = i;
+    });
+
+    return { centroid: centroids[best], members: groups[best] };
+  },
+
+  /**
+   * Index of the centroid closest to a color
+   * @param {Object} color - {r, g, b}
+   * @param {Array<Object>} centroids - Centroids {r, g, b}
+   * @returns {number} Centroid index
+   */
+  nearestCentroid(color, centroids) {
+    let best = 0;
+    for (let i = 1; i < centroids.length; i++) {
+      if (this.colorDistance(color, centroids[i]) < this.colorDistance(color, centroids[best])) best = i;
+    }
+    return best;
+  },
+
+  /**
+   * Color distance as used by color matching (sum of channel differences)
+   * @param {Object} a - {r, g, b}
+   * @param {Object} b - {r, g, b}
+   * @returns {number} Distance 0-765
+   */
+  colorDistance(a, b) {
+    return Math.abs(a.r - b.r) + Math.abs(a.g - b.g) + Math.abs(a.b - b.b);
+  },
+
+  /**
+   * Store a refined color and threshold, logging noticeable drift
+   * @param {string} state - Cell state
+   * @param {Object} centroid - New color {r, g, b}
+   * @param {number} threshold - New threshold
+   */
+  updateColor(state, centroid, threshold) {
+    const hex = '#' + [centroid.r, centroid.g, centroid.b]
+      .map(v => Math.round(v).toString(16).padStart(2, '0')).join('').toUpperCase();
+    const thresholdKey = `${state}Threshold`;
+
+    const old = colors.parseColor(settings.colors[state]);
+    const drift = this.colorDistance(centroid, { r: colors.red(old), g: colors.green(old), b: colors.blue(old) });
+    const thresholdDrift = Math.abs(threshold - settings.colors[thresholdKey]);
+
+    if (drift >= settings.refine.driftLog || thresholdDrift >= settings.refine.driftLog / 3) {
+      log('info', `Color drift for ${state}: ${settings.colors[state]} -> ${hex}, ` +
+        `threshold ${settings.colors[thresholdKey]} -> ${threshold}`);
+    }
+
+    settings.colors[state] = hex;
+    settings.colors[thresholdKey] = threshold;
   }
 };
 
@@ -0,0 +1,231 @@
+/**
+ * Calibration Module
+ * On-device wizard: the user taps the grid and sample cells on a screenshot,
+ * and the layout and colors are worked out from the taps
+ */
+
+const config = require('./config.js');
+const { log } = require('./debug.js');
+
+// Screenshot with instructions above and controls below
+const LAYOUT = `
+<vertical bg="#000000">
+  <text id="hint" textColor="#FFFFFF" textSize="16sp" padding="12"/>
+  <img id="shot" w="*" h="0" layout_weight="1" scaleType="fitCenter"/>
+  <horizontal>
+    <button id="skip" text="Skip" layout_weight="1"/>
+    <button id="undo" text="Undo" layout_weight="1"/>
+    <button id="cancel" text="Cancel" layout_weight="1"/>
+  </horizontal>
+</vertical>`;
+
+const calibration = {
+  // Taps asked for, in order
+  steps: [
+    { key: 'topLeft', hint: 'Tap the top-left corner of the grid' },
+    { key: 'bottomRight', hint: 'Tap the bottom-right corner of the grid' },
+    { key: 'cellCorner', hint: 'Tap the bottom-right corner of the top-left cell' },
+    { key: 'covered', hint: 'Tap a covered cell' },
+    { key: 'revealed', hint: 'Tap a revealed cell showing a number' },
+    { key: 'flag', hint: 'Tap a flagged cell (Skip if there is none)', optional: true }
+  ],
+
+  /**
+   * Run the wizard on a screenshot. Must be called off the UI thread; it blocks
+   * until the user has finished or cancelled. Taps that don't describe a usable grid
+   * are rejected and asked for again.
+   * @param {Image} img - Screenshot of the game
+   * @returns {Object|null} Profile {gameArea, cellSize, colors, screenWidth, screenHeight},
+   *   or null if cancelled
+   */
+  run(img) {
+    let profile = null;
+    let notice = '';
+
+    while (!profile) {
+      const taps = this.collectTaps(img, notice);
+      if (!taps) break;
+
+      profile = this.buildProfile(img, taps);
+      notice = 'Those taps did not give a usable grid, please try again. ';
+    }
+
+    // Hand the screen back to the game
+    ui.run(() => {
+      ui.layout('<vertical/>');
+      activity.moveTaskToBack(true);
+    });
+
+    if (!profile) {
+      log('warn', 'Calibration cancelled');
+    }
+    return profile;
+  },
+
+  /**
+   * Show the screenshot and collect one tap per step
+   * @param {Image} img - Screenshot of the game
+   * @param {string} notice - Text shown before each step's hint
+   * @returns {Object|null} Tapped points by step key, or null if cancelled
+   */
+  collectTaps(img, notice) {
+    const result = threads.disposable();
+    const taps = {};
+    let step = 0;
+
+    const showStep = () => {
+      const current = this.steps[step];
+      ui.hint.setText(`${notice}${step + 1}/${this.steps.length}: ${current.hint}`);
+      ui.skip.setEnabled(Boolean(current.optional));
+      ui.undo.setEnabled(step > 0);
+    };
+
+    const advance = () => {
+      step++;
+      if (step < this.steps.length) {
+        showStep();
+      } else {
+        result.setAndNotify(taps);
+      }
+    };
+
+    ui.run(() => {
+      ui.layout(LAYOUT);
+      ui.shot.setImageBitmap(img.getBitmap());
+
+      ui.shot.setOnTouchListener((view, event) => {
+        // Ignore taps once every step is done and the wizard is closing
+        if (event.getAction() !== event.ACTION_UP || step >= this.steps.length) return true;
+
+        const point = this.toImagePoint(view, event.getX(), event.getY());
+        taps[this.steps[step].key] = point;
+        log('debug', `Calibration ${this.steps[step].key}: (${point.x}, ${point.y})`);
+        advance();
+        return true;
+      });
+
+      ui.skip.on('click', () => advance());
+      ui.undo.on('click', () => {
+        step--;
+        delete taps[this.steps[step].key];
+        showStep();
+      });
+      ui.cancel.on('click', () => result.setAndNotify(null));
+
+      showStep();
+    });
+
+    return result.blockedGet();
+  },
+
+  /**
+   * Convert a touch on the screenshot view to screenshot pixel coordinates
+   * @param {ImageView} view - View showing the screenshot
+   * @param {number} x - Touch x in the view
+   * @param {number} y - Touch y in the view
+   * @returns {Object} {x, y} in screenshot pixels
+   */
+  toImagePoint(view, x, y) {
+    const inverse = new android.graphics.Matrix();
+    view.getImageMatrix().invert(inverse);
+
+    const point = util.java.array('float', 2);
+    point[0] = x - view.getPaddingLeft();
+    point[1] = y - view.getPaddingTop();
+    inverse.mapPoints(point);
+
+    return { x: Math.round(point[0]), y: Math.round(point[1]) };
+  },
+
+  /**
+   * Work out the layout and colors from the taps
+   * @param {Image} img - Screenshot the taps were made on
+   * @param {Object} taps - Tapped points by step key
+   * @returns {Object|null} Profile, or null if the taps don't describe a usable grid
+   */
+  buildProfile(img, taps) {
+    const { minCellSize, minGridCells } = config.calibration;
+    const left = Math.min(taps.topLeft.x, taps.bottomRight.x);
+    const right = Math.max(taps.topLeft.x, taps.bottomRight.x);
+    const top = Math.min(taps.topLeft.y, taps.bottomRight.y);
+    const bottom = Math.max(taps.topLeft.y, taps.bottomRight.y);
+
+    // The tapped cell gives the rough size; whole cells across the grid pin it down
+    const roughSize = (Math.abs(taps.cellCorner.x - left) + Math.abs(taps.cellCorner.y - top)) / 2;
+    if (roughSize < minCellSize) {
+      log('warn', `Calibration rejected: tapped cell is only ${roughSize}px`);
+      return null;
+    }
+
+    const cols = Math.round((right - left) / roughSize);
+    const rows = Math.round((bottom - top) / roughSize);
+    if (rows < minGridCells || cols < minGridCells) {
+      log('warn', `Calibration rejected: taps give a ${rows}x${cols} grid`);
+      return null;
+    }
+    const cellSize = Math.round(((right - left) / cols + (bottom - top) / rows) / 2);
+
+    const gameArea = { left, top, right: left + cols * cellSize, bottom: top + rows * cellSize };
+    const cellAt = (point) => ({
+      left: left + Math.floor((point.x - left) / cellSize) * cellSize,
+      top: top + Math.floor((point.y - top) / cellSize) * cellSize
+    });
+
+    const colorConfig = {};
+    const inset = Math.floor(cellSize * 0.2);
+
+    // Covered: the middle of the cell
+    const covered = cellAt(taps.covered);
+    colorConfig.covered = this.sampleColor(img, covered.left + cellSize / 2, covered.top + cellSize / 2);
+
+    // Revealed: the background near a corner, clear of the digit
+    const revealed = cellAt(taps.revealed);
+    colorConfig.revealed = this.sampleColor(img, revealed.left + inset, revealed.top + inset);
+
+    // Flag: where the user tapped, which should be on the flag itself
+    if (taps.flag) {
+      colorConfig.flag = this.sampleColor(img, taps.flag.x, taps.flag.y);
+    }
+
+    log('info', `Calibrated: ${rows}x${cols} cells of ${cellSize}px, game area ${JSON.stringify(gameArea)}`);
+    log('info', `Calibrated colors: ${JSON.stringify(colorConfig)}`);
+
+    return {
+      screenWidth: img.getWidth(),
+      screenHeight: img.getHeight(),
+      gameArea,
+      cellSize,
+      colors: colorConfig
+    };
+  },
+
+  /**
+   * Median color of a small patch, so a stray pixel can't skew the sample
+   * @param {Image} img - Screenshot
+   * @param {number} x - Patch center x
+   * @param {number} y - Patch center y
+   * @returns {string} Hex color
+   */
+  sampleColor(img, x, y) {
+    const radius = config.calibration.sampleRadius;
+    const channels = [[], [], []];
+
+    for (let dy = -radius; dy <= radius; dy++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        const px = Math.min(img.getWidth() - 1, Math.max(0, Math.round(x + dx)));
+        const py = Math.min(img.getHeight() - 1, Math.max(0, Math.round(y + dy)));
+        const color = images.pixel(img, px, py);
+        channels[0].push(colors.red(color));
+        channels[1].push(colors.green(color));
+        channels[2].push(colors.blue(color));
+      }
+    }
+
+    return '#' + channels.map(values => {
+      values.sort((a, b) => a - b);
+      return values[Math.floor(values.length / 2)].toString(16).padStart(2, '0');
+    }).join('').toUpperCase();
+  }
+};
+
+module.exports = calibration;
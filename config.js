@@ -6,6 +6,7 @@
  * You don't need to configure anything - just run it.
  *
  * Manual configuration only needed if auto-detection fails or for fine-tuning.
+ * If auto-detection fails, a calibration wizard asks you to tap the grid instead.
  */
 
 const config = {
@@ -25,6 +26,22 @@ const config = {
     right: 1030    // Pixels from left
   },
 
+  // ===== HUD REGIONS (AUTO-DETECTED) =====
+  // Screen areas outside the grid, by name: {left, top, right, bottom}
+  // Always: topBar, bottomBar, leftPanel, rightPanel (when present), plus the
+  // items found in the top bar, named left to right after `layout`
+  // Set manual: true to use the regions below instead
+  hud: {
+    manual: false,
+    layout: ["mineCounter", "restartButton", "timer"],
+    regions: {},
+    read: ["mineCounter"],  // Regions holding numbers to read every frame (add "score" with a score region in `layout` or `regions`)
+    reader: "auto",         // "ocr" (paddle.ocrText), "segments" (seven-segment), "auto" (OCR if available)
+    inkThreshold: 120,      // Color difference from the background that counts as lit
+    stableReads: 3,         // Frames the counter must agree on before its total is used
+    useMineCounter: false,  // Let the solver take the mine count from the counter (check the region first: auto-detection may pick a timer)
+  },
+
   // ===== CELL DETECTION (AUTO-DETECTED) =====
   // Bot detects cell size from grid line patterns
   cellSize: 80,  // Leave as 80 for auto-detection
@@ -48,21 +65,125 @@ const config = {
     mineThreshold: 30
   },
 
+  // ===== CELL RECOGNITION =====
+  vision: {
+    minConfidence: 0.6,        // Cells read with less confidence aren't used for certain moves
+    heuristicConfidence: 0.5,  // Confidence of the blue-background revealed check alone (below minConfidence: never trusted)
+    maxRecaptures: 2           // Re-read uncertain cells this many times before moving on
+  },
+
+  // ===== DIGIT RECOGNITION =====
+  // Digits are matched against templates learned from confident reads during play
+  digits: {
+    mode: "shape",             // "shape" (OCR/templates), "color" (digit color), or "combined"
+    useTemplates: true,        // Classify digits against learned templates
+    theme: null,               // Template set name (null = current app package)
+    templatePath: "/sdcard/minesweeper_templates/",
+    glyphSize: 16,             // Cells are resampled to this many pixels square
+    foregroundThreshold: 90,   // Color difference from cell background that counts as ink
+    minForeground: 6,          // Fewer ink pixels than this = empty cell (0)
+    matchThreshold: 0.6,       // Min correlation to accept a template match
+    learnThreshold: 0.85,      // Min correlation to refine templates from a match
+    mergeThreshold: 0.9,       // Min correlation to average into an existing template
+    maxTemplatesPerDigit: 5,   // Template variants kept per digit
+    patternScore: 0.5,         // Confidence given to the white-pixel pattern fallback (below vision.minConfidence: it misreads 3/5/6)
+    saveInterval: 60000,       // Save learned templates at most this often (ms); also saved on exit
+
+    // Digit colors for "color"/"combined" mode (classic Minesweeper palette)
+    palette: {
+      1: "#0000FF",
+      2: "#008000",
+      3: "#FF0000",
+      4: "#000080",
+      5: "#800000",
+      6: "#008080",
+      7: "#000000",
+      8: "#808080"
+    },
+    paletteThreshold: 60,      // Max per-channel distance from a palette color
+    minColorShare: 0.5         // Min share of ink pixels that must agree on one digit
+  },
+
+  // ===== CALIBRATION =====
+  // Detected or calibrated layouts are saved as profiles per game and screen size,
+  // and reused on the next launch if they still match the screen
+  calibration: {
+    wizard: "auto",         // "auto" (when detection fails), "always" (recalibrate now), "never"
+    profile: null,          // Profile name (null = the game's package name)
+    profilePath: "/sdcard/minesweeper_profiles/",
+    minGridCells: 3,        // Detected grids smaller than this in rows or columns count as failed
+    minCellSize: 8,         // Calibrated cells smaller than this (px) mean the taps were wrong
+    minProfileMatch: 0.8,   // Share of cells that must show a cell color for a saved profile to be used
+    sampleRadius: 2,        // Tapped colors are the median of a (2r+1)^2 patch
+  },
+
+  // ===== INPUT =====
+  // Saved with the game's profile
+  input: {
+    scheme: "longPress",    // "longPress", "flagMode" (toggle button), "doubleTap", "twoFinger"
+    swapGestures: false,    // Game reveals with the flag gesture and flags with a tap
+    toggleButton: null,     // {x, y} of the flag-mode button (null = flagToggle HUD region)
+    toggleDelay: 150,       // Wait (ms) after switching flag mode
+    doubleTapGap: 80,       // Time (ms) between the taps of a double tap
+    twoFingerSpread: 40,    // Distance (px) between the fingers of a two-finger tap
+  },
+
+  // ===== ACTION VERIFICATION =====
+  // Each move is checked in the next capture; dropped or misread taps are retried
+  verify: {
+    enabled: true,
+    maxRetries: 2,          // Retries per move before giving up
+  },
+
   // ===== TIMING & PERFORMANCE =====
   delays: {
-    betweenMoves: 200,      // Milliseconds between actions
-    afterClick: 100,        // Wait after cell reveal
-    afterFlag: 50,          // Wait after flag placement
-    screenCapture: 500,     // Delay between screen captures
+    betweenMoves: 200,      // Milliseconds between taps in batch reveals/flags
     longPress: 600          // Long press duration for flagging
   },
 
+  // Frames are read only once the game area stops changing, instead of after fixed sleeps
+  stability: {
+    minSettle: 100,         // Milliseconds to wait before the first capture (lets the game react to the last tap)
+    interval: 80,           // Milliseconds between comparison captures
+    timeout: 1500,          // Use the latest frame if still changing after this long
+    sampleStep: 16,         // Sample spacing (px) for frame comparison
+    pixelTolerance: 12,     // Brightness change that counts as a changed sample
+    maxChangedShare: 0.002  // Stable when at most this share of samples changed
+  },
+
   // ===== SOLVER BEHAVIOR =====
   solver: {
-    maxIterations: 100,     // Max solver iterations per frame
+    maxIterations: 50000,   // Search steps per frame for exact probabilities
     useAdvancedLogic: true, // Enable probability-based guessing
     safeProbability: 0.8,   // Minimum probability to consider move safe
+    mineDensity: 0.15,      // Mine probability for cells with no adjacent numbers
+    totalMines: null,       // Total mines on a finite board (null = unknown/infinite)
+    endgameMines: 10,       // Use the mine count for deductions at or below this many left
     flagObviousMines: true, // Auto-flag when mine is certain
+    flagless: false,        // Remember certain mines instead of flagging them (flags only to chord)
+    chording: true,         // Tap satisfied numbers to open their neighbors at once
+    minChordCells: 2,       // Fewest covered neighbors worth a chord instead of single taps
+  },
+
+  // ===== COLOR REFINEMENT =====
+  // Cell colors are re-estimated during play from cells read with confidence
+  refine: {
+    enabled: true,
+    maxSamples: 300,        // Samples kept per cell state (oldest dropped first)
+    minSamples: 20,         // Samples needed before a state's color is updated
+    iterations: 10,         // Max k-means iterations
+    percentile: 0.95,       // Threshold covers this share of a state's samples
+    minThreshold: 15,       // Bounds for refined thresholds
+    maxThreshold: 60,
+    driftLog: 15,           // Log when a color moves this far (threshold: a third of it)
+  },
+
+  // ===== SCANNING =====
+  scan: {
+    incremental: true,      // After a move, rescan only the cells around it
+    fullScanEvery: 20,      // Full rescan after this many incremental scans
+    validate: true,         // Check the board is possible before acting on it
+    targetedRescans: 2,     // Rescan suspect cells this many times before a full rescan
   },
 
   // ===== SCROLLING (for infinite board) =====
@@ -71,6 +192,32 @@ const config = {
     direction: "down",      // "down", "up", "left", "right"
     pixelsPerScroll: 400,   // Distance to scroll
     whenToScroll: 0.7,      // Scroll when 70% of visible cells solved
+    offscreenNeighbors: true, // Board continues past the screen edges (unseen neighbors)
+    measureOffset: true,    // Measure actual scroll distance by comparing frames
+    registrationStep: 12,   // Sample spacing (px) for frame comparison
+    maxRegistrationError: 40, // Max mean brightness difference for a valid match
+  },
+
+  // ===== GAME END =====
+  gameEnd: {
+    detect: true,
+    onLoss: "stop",         // "stop", "screenshot" (save the screen, then stop), "restart"
+    onWin: "stop",          // Same choices as onLoss
+    minMineCells: 1,        // Mines on screen that mean the game was lost
+    mineBodySize: 0.3,      // Diameter of the solid mine body, as a share of the cell
+    mineBodyShare: 0.8,     // Share of that patch in the mine color for a cell to count as a mine
+    overlayShare: 0.5,      // Share of the board hidden by a dialog that ends the game
+    lossTemplate: null,     // Image of the game-over dialog or its restart button (path)
+    winTemplate: null,      // Image of the win dialog or its restart button (path)
+    templateThreshold: 0.8, // Similarity needed to match a template
+    restartButton: null,    // {x, y} to tap for a new game (null = matched template or HUD restart button)
+    restartDelay: 1500,     // Wait (ms) for the new board before calibrating again
+  },
+
+  // ===== SESSION (benchmarking) =====
+  session: {
+    games: 0,               // Play this many games back to back, restarting after each (0 = off)
+    resultsPath: "/sdcard/minesweeper_sessions/"
   },
 
   // ===== DEBUGGING =====
@@ -0,0 +1,146 @@
+/**
+ * Consistency Module
+ * Checks that the scanned board is possible before the solver acts on it
+ */
+
+const world = require('./world.js');
+const solver = require('./solver.js');
+const { log } = require('./debug.js');
+
+const consistency = {
+  // Cells marked `contradicted` by the last check
+  marked: [],
+
+  // Numbers that contradicted at the last check, rechecked even once off screen
+  lastContradictions: [],
+
+  /**
+   * Find numbers that can't be satisfied by their neighbors.
+   * A number needs at least as many covered (or unseen) plus flagged neighbors as its
+   * value, and no more flagged neighbors than its value. Remembered mines count as flags.
+   * Only numbers that can have changed are checked: those on screen, those with
+   * undecided neighbors, and those that contradicted last time.
+   * Numbers in frontier components the solver found unsatisfiable are included too.
+   * @returns {Array<Object>} Array of {row, col, value, flags, open, reason}
+   */
+  findContradictions() {
+    const contradictions = [];
+    const checked = new Set();
+
+    const checkCell = (cell, row, col) => {
+      const key = `${row},${col}`;
+      if (checked.has(key)) return;
+      checked.add(key);
+      if (cell.state !== 'revealed' || cell.value === null) return;
+
+      const neighbors = world.getNeighbors(row, col);
+      const flags = neighbors.filter(n => world.isFlagged(n.cell)).length;
+      const open = neighbors.filter(n => world.isCovered(n.cell) || n.cell.state === 'offscreen').length;
+
+      if (flags > cell.value) {
+        contradictions.push({ row, col, value: cell.value, flags, open,
+          reason: `${cell.value} with ${flags} flagged neighbors` });
+      } else if (flags + open < cell.value) {
+        contradictions.push({ row, col, value: cell.value, flags, open,
+          reason: `${cell.value} with only ${flags + open} covered or flagged neighbors` });
+      }
+    };
+
+    world.forEachVisibleCell(checkCell);
+    world.forEachFrontierCell(checkCell);
+    for (const c of this.lastContradictions) {
+      const cell = world.getCell(c.row, c.col);
+      if (cell) checkCell(cell, c.row, c.col);
+    }
+
+    // Numbers that are fine alone but that the solver proved can't all hold together
+    const seen = new Set(contradictions.map(c => `${c.row},${c.col}`));
+    for (const component of solver.findInconsistentComponents()) {
+      for (const constraint of component) {
+        const key = `${constraint.row},${constraint.col}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        const cell = world.getCell(constraint.row, constraint.col);
+        const flags = world.getNeighbors(constraint.row, constraint.col)
+          .filter(n => world.isFlagged(n.cell)).length;
+        contradictions.push({ row: constraint.row, col: constraint.col, value: cell.value, flags,
+          open: constraint.cells.length, reason: `${cell.value} can't be satisfied together with its neighbors` });
+      }
+    }
+
+    return contradictions;
+  },
+
+  /**
+   * Rank the cells most likely to have been misread: each contradicting number and
+   * its visible neighbors, least confident first. Cells shared by several
+   * contradictions rank ahead of cells with the same confidence.
+   * @param {Array<Object>} contradictions - Result of findContradictions()
+   * @returns {Array<{row, col, confidence, count}>} Suspect cells in world coordinates
+   */
+  rankSuspects(contradictions) {
+    const suspects = new Map();
+
+    const add = (row, col, cell) => {
+      if (!world.isVisible(row, col)) return;
+      const key = `${row},${col}`;
+      const suspect = suspects.get(key) ||
+        { row, col, confidence: cell.confidence === undefined ? 1 : cell.confidence, count: 0 };
+      suspect.count++;
+      suspects.set(key, suspect);
+    };
+
+    for (const c of contradictions) {
+      add(c.row, c.col, world.getCell(c.row, c.col));
+      for (const n of world.getNeighbors(c.row, c.col)) add(n.row, n.col, n.cell);
+    }
+
+    return Array.from(suspects.values())
+      .sort((a, b) => a.confidence - b.confidence || b.count - a.count);
+  },
+
+  /**
+   * Flag each contradicting number and its neighbors as `contradicted`, clearing
+   * earlier marks, so the solver makes no certain moves from them until they read
+   * consistently again
+   * @param {Array<Object>} contradictions - Result of findContradictions()
+   */
+  markContradicted(contradictions) {
+    for (const cell of this.marked) cell.contradicted = false;
+    this.marked = [];
+
+    const mark = (cell) => {
+      cell.contradicted = true;
+      this.marked.push(cell);
+    };
+
+    for (const c of contradictions) {
+      mark(world.getCell(c.row, c.col));
+      for (const n of world.getNeighbors(c.row, c.col)) {
+        if (n.cell !== world.unseenCell) mark(n.cell);
+      }
+    }
+    this.lastContradictions = contradictions.map(c => ({ row: c.row, col: c.col }));
+  },
+
+  /**
+   * Validate the board
+   * @returns {Object} {ok, contradictions, suspects}
+   */
+  check() {
+    const contradictions = this.findContradictions();
+    this.markContradicted(contradictions);
+    if (contradictions.length === 0) {
+      return { ok: true, contradictions, suspects: [] };
+    }
+
+    for (const c of contradictions) {
+      log('warn', `Impossible board at (${c.row}, ${c.col}): ${c.reason}`);
+    }
+
+    return { ok: false, contradictions, suspects: this.rankSuspects(contradictions) };
+  }
+};
+
+module.exports = consistency;
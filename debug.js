@@ -86,9 +86,10 @@ const debug = {
    * Save a screenshot to storage
    * @param {Image} img - Captured image
    * @param {string} filename - Filename (without path)
+   * @param {boolean} force - Save even if `config.debug.saveScreenshots` is off
    */
-  saveScreenshot(img, filename) {
-    if (!config.debug.saveScreenshots) return;
+  saveScreenshot(img, filename, force = false) {
+    if (!config.debug.saveScreenshots && !force) return;
 
     try {
       const path = config.debug.screenshotPath + filename;
@@ -108,7 +109,8 @@ const debug = {
     const message = `
 Cells Revealed: ${stats.revealed || 0}
 Flags Placed: ${stats.flags || 0}
-Moves Made: ${stats.moves || 0}
+Moves Made: ${stats.moves || 0} (${stats.chords || 0} chords)
+Verification Failures: ${stats.verifyFailures || 0} (${stats.retries || 0} retried, ${stats.undone || 0} flags undone)
 Time Elapsed: ${stats.timeElapsed || 0}s
     `.trim();
 
@@ -0,0 +1,264 @@
+/**
+ * Digit Template Module
+ * Classifies cell digits against learned templates (saved per game theme)
+ * or by the color each digit is drawn in
+ */
+
+const config = require('./config.js');
+const { log } = require('./debug.js');
+
+const digits = {
+  // Templates by digit: {1: [{glyph: Array<number>, count}], ...}
+  templates: {},
+  theme: null,
+  updatesSinceSave: 0,
+  lastSave: 0,
+
+  /**
+   * Load the template set for a game theme
+   * @param {string} theme - Theme name (used as the file name)
+   */
+  load(theme) {
+    this.theme = theme;
+    this.templates = {};
+    this.updatesSinceSave = 0;
+    this.lastSave = Date.now();
+
+    const path = this.templateFile();
+    try {
+      if (files.exists(path)) {
+        this.templates = JSON.parse(files.read(path));
+        const count = Object.values(this.templates).reduce((n, list) => n + list.length, 0);
+        log('info', `Loaded ${count} digit templates for theme "${theme}"`);
+      } else {
+        log('info', `No digit templates for theme "${theme}" yet, will learn during play`);
+      }
+    } catch (e) {
+      log('error', `Failed to load digit templates: ${e.message}`);
+    }
+  },
+
+  /**
+   * Save the current template set
+   */
+  save() {
+    this.lastSave = Date.now();
+    if (!this.theme || this.updatesSinceSave === 0) return;
+
+    try {
+      files.ensureDir(config.digits.templatePath);
+      files.write(this.templateFile(), JSON.stringify(this.templates));
+      this.updatesSinceSave = 0;
+      log('debug', `Digit templates saved for theme "${this.theme}"`);
+    } catch (e) {
+      log('error', `Failed to save digit templates: ${e.message}`);
+    }
+  },
+
+  /**
+   * Get the template file path for the current theme
+   * @returns {string} File path
+   */
+  templateFile() {
+    const name = String(this.theme).replace(/[^\w.-]/g, '_');
+    return `${config.digits.templatePath}${name}.json`;
+  },
+
+  /**
+   * Resample a cell to a fixed-size binarised glyph.
+   * Ink is any pixel whose color is far from the cell background (sampled at the corners).
+   * @param {Object} frame - Frame from vision.readFrame()
+   * @param {Object} region - Cell region {left, top, width, height}
+   * @returns {Object} {glyph, ink, inkColors} glyph as 0/1 values (row-major) and the ink pixel colors
+   */
+  extractGlyph(frame, region) {
+    const size = config.digits.glyphSize;
+    const { width, height } = region;
+    const pixelAt = (x, y) => frame.pixels[(region.top + y) * frame.width + region.left + x];
+
+    // Skip the cell border so grid lines don't count as ink
+    const margin = Math.floor(Math.min(width, height) * 0.15);
+    const innerW = width - 2 * margin;
+    const innerH = height - 2 * margin;
+
+    const corners = [
+      pixelAt(margin, margin),
+      pixelAt(width - margin - 1, margin),
+      pixelAt(margin, height - margin - 1),
+      pixelAt(width - margin - 1, height - margin - 1)
+    ];
+    const bgR = corners.reduce((sum, c) => sum + ((c >> 16) & 0xff), 0) / 4;
+    const bgG = corners.reduce((sum, c) => sum + ((c >> 8) & 0xff), 0) / 4;
+    const bgB = corners.reduce((sum, c) => sum + (c & 0xff), 0) / 4;
+
+    const glyph = new Array(size * size);
+    const inkColors = [];
+    let ink = 0;
+
+    for (let gy = 0; gy < size; gy++) {
+      for (let gx = 0; gx < size; gx++) {
+        const x = margin + Math.floor((gx + 0.5) * innerW / size);
+        const y = margin + Math.floor((gy + 0.5) * innerH / size);
+        const color = pixelAt(x, y);
+
+        const diff = Math.abs(((color >> 16) & 0xff) - bgR) +
+                     Math.abs(((color >> 8) & 0xff) - bgG) +
+                     Math.abs((color & 0xff) - bgB);
+        const value = diff > config.digits.foregroundThreshold ? 1 : 0;
+
+        glyph[gy * size + gx] = value;
+        ink += value;
+        if (value) inkColors.push(color);
+      }
+    }
+
+    return { glyph, ink, inkColors };
+  },
+
+  /**
+   * Classify a glyph by the dominant ink color, for themes that draw each digit in its
+   * own color. Each ink pixel votes for the nearest palette color.
+   * @param {Object} extracted - Result of extractGlyph()
+   * @returns {Object|null} {digit, score} with score = share of votes, or null if unclear
+   */
+  classifyByColor(extracted) {
+    if (extracted.ink < config.digits.minForeground) {
+      return { digit: 0, score: 1.0 };
+    }
+
+    const palette = Object.keys(config.digits.palette).map(digit => {
+      const color = colors.parseColor(config.digits.palette[digit]);
+      return { digit: Number(digit), r: colors.red(color), g: colors.green(color), b: colors.blue(color) };
+    });
+
+    const votes = {};
+    for (const color of extracted.inkColors) {
+      const r = colors.red(color);
+      const g = colors.green(color);
+      const b = colors.blue(color);
+
+      let nearest = null;
+      let nearestDiff = Infinity;
+      for (const entry of palette) {
+        const diff = Math.abs(r - entry.r) + Math.abs(g - entry.g) + Math.abs(b - entry.b);
+        if (diff < nearestDiff) {
+          nearest = entry;
+          nearestDiff = diff;
+        }
+      }
+
+      // Anti-aliased edges blend into the background; don't let them vote
+      if (nearest && nearestDiff <= config.digits.paletteThreshold * 3) {
+        votes[nearest.digit] = (votes[nearest.digit] || 0) + 1;
+      }
+    }
+
+    let best = null;
+    for (const digit of Object.keys(votes)) {
+      if (!best || votes[digit] > votes[best]) best = digit;
+    }
+
+    if (best === null) return null;
+
+    const score = votes[best] / extracted.ink;
+    return score >= config.digits.minColorShare ? { digit: Number(best), score } : null;
+  },
+
+  /**
+   * Normalised correlation between two glyphs of the same size
+   * @param {Array<number>} a - First glyph
+   * @param {Array<number>} b - Second glyph
+   * @returns {number} Correlation in [-1, 1] (0 if either glyph is flat)
+   */
+  correlate(a, b) {
+    const n = a.length;
+    let meanA = 0;
+    let meanB = 0;
+    for (let i = 0; i < n; i++) {
+      meanA += a[i];
+      meanB += b[i];
+    }
+    meanA /= n;
+    meanB /= n;
+
+    let cross = 0;
+    let varA = 0;
+    let varB = 0;
+    for (let i = 0; i < n; i++) {
+      const da = a[i] - meanA;
+      const db = b[i] - meanB;
+      cross += da * db;
+      varA += da * da;
+      varB += db * db;
+    }
+
+    return varA > 0 && varB > 0 ? cross / Math.sqrt(varA * varB) : 0;
+  },
+
+  /**
+   * Classify a glyph against the stored templates.
+   * A glyph with almost no ink is an empty cell (0), which needs no template.
+   * @param {Object} extracted - Result of extractGlyph()
+   * @returns {Object|null} {digit, score} best match, or null if nothing matches well enough
+   */
+  classify(extracted) {
+    if (extracted.ink < config.digits.minForeground) {
+      return { digit: 0, score: 1.0 };
+    }
+
+    let best = null;
+    for (const digit of Object.keys(this.templates)) {
+      for (const template of this.templates[digit]) {
+        const score = this.correlate(extracted.glyph, template.glyph);
+        if (!best || score > best.score) {
+          best = { digit: Number(digit), score };
+        }
+      }
+    }
+
+    if (!best || best.score < config.digits.matchThreshold) {
+      return null;
+    }
+    return best;
+  },
+
+  /**
+   * Add a glyph read with high confidence to the templates for its digit.
+   * Close matches are averaged into the existing template, others start a new one.
+   * @param {Object} extracted - Result of extractGlyph()
+   * @param {number} digit - Digit the glyph is known to show
+   */
+  learn(extracted, digit) {
+    if (digit === 0 || extracted.ink < config.digits.minForeground) return;
+
+    const list = this.templates[digit] || (this.templates[digit] = []);
+
+    let closest = null;
+    let closestScore = -Infinity;
+    for (const template of list) {
+      const score = this.correlate(extracted.glyph, template.glyph);
+      if (score > closestScore) {
+        closest = template;
+        closestScore = score;
+      }
+    }
+
+    if (closest && (closestScore >= config.digits.mergeThreshold ||
+        list.length >= config.digits.maxTemplatesPerDigit)) {
+      // Running average, capped so old templates can still adapt
+      const weight = Math.min(closest.count, 50);
+      closest.glyph = closest.glyph.map((v, i) => (v * weight + extracted.glyph[i]) / (weight + 1));
+      closest.count++;
+    } else {
+      list.push({ glyph: extracted.glyph.slice(), count: 1 });
+      log('debug', `New template for digit ${digit} (${list.length} total)`);
+    }
+
+    this.updatesSinceSave++;
+    if (Date.now() - this.lastSave >= config.digits.saveInterval) {
+      this.save();
+    }
+  }
+};
+
+module.exports = digits;
@@ -0,0 +1,173 @@
+/**
+ * Game State Module
+ * Detects when a game has been lost or won
+ */
+
+const config = require('./config.js');
+const vision = require('./vision.js');
+const grid = require('./grid.js');
+const solver = require('./solver.js');
+const { log } = require('./debug.js');
+
+const gameState = {
+  // Template images by path, loaded on first use
+  templates: {},
+
+  /**
+   * Work out whether the game is still running from the latest frame and scan
+   * @param {Image} img - Captured screen image (grid already scanned from it)
+   * @returns {Object} {state, reason, button}: state is "playing", "lost" or "won";
+   *   button is where a matched template was found ({x, y} center), if any
+   */
+  detect(img) {
+    const settings = config.gameEnd;
+
+    // Configured end-screen images are the most specific evidence
+    const lost = this.findTemplate(img, settings.lossTemplate);
+    if (lost) {
+      return { state: 'lost', reason: 'game-over screen found', button: lost };
+    }
+
+    const won = this.findTemplate(img, settings.winTemplate);
+    if (won) {
+      return { state: 'won', reason: 'win screen found', button: won };
+    }
+
+    // Exposed mines only show up once the game is lost
+    const frame = vision.readFrame(img);
+    const mines = this.countMineCells(frame);
+    if (mines >= settings.minMineCells) {
+      return { state: 'lost', reason: `${mines} mines on screen`, button: null };
+    }
+
+    // A finite board with every safe cell open is won
+    if (solver.getTotalMines() !== null && solver.isSolved()) {
+      return { state: 'won', reason: 'all safe cells revealed', button: null };
+    }
+
+    // Something is covering the board; without mines on screen, a solved board means a win
+    const hidden = this.overlayShare(frame);
+    if (hidden >= settings.overlayShare) {
+      const state = solver.isSolved() ? 'won' : 'lost';
+      return { state, reason: `dialog covers ${(hidden * 100).toFixed(0)}% of the board`, button: null };
+    }
+
+    return { state: 'playing', reason: null, button: null };
+  },
+
+  /**
+   * Count visible cells showing a mine. Every cell is checked in the frame itself, since
+   * incremental scans don't re-read the mines the game uncovers elsewhere on a loss.
+   * A cell only counts if the mine color fills a solid patch around its center, so a
+   * dark digit (a black 7) or a border pixel doesn't.
+   * @param {Object} frame - Frame from vision.readFrame()
+   * @returns {number} Mine cell count
+   */
+  countMineCells(frame) {
+    if (!grid.gridInfo) return 0;
+
+    let count = 0;
+    for (let row = 0; row < grid.gridInfo.rows; row++) {
+      for (let col = 0; col < grid.gridInfo.cols; col++) {
+        if (this.looksLikeMine(frame, row, col)) count++;
+      }
+    }
+    return count;
+  },
+
+  /**
+   * Check that the mine color covers most of a patch around a cell's center
+   * @param {Object} frame - Frame from vision.readFrame()
+   * @param {number} row - Cell row
+   * @param {number} col - Cell column
+   * @returns {boolean} True if the cell shows a mine's round body
+   */
+  looksLikeMine(frame, row, col) {
+    const { colors: palette } = config;
+    const center = grid.cellToScreen(row, col);
+    const radius = Math.max(2, Math.floor(grid.gridInfo.cellSize * config.gameEnd.mineBodySize / 2));
+    let total = 0;
+    let dark = 0;
+
+    for (let dy = -radius; dy <= radius; dy += 2) {
+      for (let dx = -radius; dx <= radius; dx += 2) {
+        const x = center.x + dx;
+        const y = center.y + dy;
+        if (dx * dx + dy * dy > radius * radius) continue;
+        if (x < 0 || y < 0 || x >= frame.width || y >= frame.height) continue;
+
+        total++;
+        if (vision.colorsMatch(vision.framePixel(frame, x, y), palette.mine, palette.mineThreshold)) dark++;
+      }
+    }
+
+    return total > 0 && dark / total >= config.gameEnd.mineBodyShare;
+  },
+
+  /**
+   * Measure how much of the board is hidden behind something that isn't a cell.
+   * Each cell is sampled near its corner, away from any digit.
+   * @param {Object} frame - Frame from vision.readFrame()
+   * @returns {number} Share of cells (0-1) whose color matches no cell color
+   */
+  overlayShare(frame) {
+    if (!grid.gridInfo) return 0;
+
+    const { rows, cols, cellSize } = grid.gridInfo;
+    const inset = Math.floor(cellSize * 0.35);
+    let total = 0;
+    let hidden = 0;
+
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const center = grid.cellToScreen(row, col);
+        const x = center.x - inset;
+        const y = center.y - inset;
+        if (x < 0 || y < 0 || x >= frame.width || y >= frame.height) continue;
+
+        total++;
+        if (!vision.isBoardColor(vision.framePixel(frame, x, y))) hidden++;
+      }
+    }
+
+    return total > 0 ? hidden / total : 0;
+  },
+
+  /**
+   * Look for a configured template image on screen
+   * @param {Image} img - Captured screen image
+   * @param {string|null} path - Template image path
+   * @returns {Object|null} {x, y} center of the match, or null if not configured or not found
+   */
+  findTemplate(img, path) {
+    if (!path) return null;
+
+    let template = this.templates[path];
+    if (template === undefined) {
+      template = files.exists(path) ? images.read(path) : null;
+      if (!template) log('warn', `Game end template not found: ${path}`);
+      this.templates[path] = template;
+    }
+    if (!template) return null;
+
+    const point = images.findImage(img, template, { threshold: config.gameEnd.templateThreshold });
+    if (!point) return null;
+
+    return {
+      x: Math.round(point.x + template.getWidth() / 2),
+      y: Math.round(point.y + template.getHeight() / 2)
+    };
+  },
+
+  /**
+   * Release loaded template images
+   */
+  release() {
+    for (const template of Object.values(this.templates)) {
+      if (template) template.recycle();
+    }
+    this.templates = {};
+  }
+};
+
+module.exports = gameState;
@@ -5,12 +5,17 @@
 
 const config = require('./config.js');
 const vision = require('./vision.js');
+const digits = require('./digits.js');
 const { log } = require('./debug.js');
 
 const grid = {
   // Grid state
   cells: [], // 2D array of cell objects
   gridInfo: null, // {cellSize, offsetX, offsetY, rows, cols}
+  baseOffset: null, // {x, y} grid offset as first detected
+
+  // Stand-in for neighbors past the screen edge: they exist but can't be seen
+  offscreenCell: { state: 'offscreen', value: null },
 
   /**
    * Auto-detect grid from screen capture
@@ -66,6 +71,7 @@ const grid = {
     offsetY = gameArea.top + Math.floor((gridHeight - rows * cellSize) / 2);
 
     this.gridInfo = { cellSize, offsetX, offsetY, rows, cols };
+    this.baseOffset = { x: offsetX, y: offsetY };
     log('info', `Grid detected: ${rows}x${cols}, cell size: ${cellSize}px`);
     log('debug', `Grid offset: (${offsetX}, ${offsetY})`);
 
@@ -115,6 +121,31 @@ const grid = {
     return { row, col };
   },
 
+  /**
+   * Realign the grid after the board content moved by a measured offset.
+   * The grid offset is wrapped back to within half a cell of where it was first detected,
+   * and the whole cells crossed are returned as the movement of the visible window.
+   * @param {number} dx - Content movement in pixels (positive = right)
+   * @param {number} dy - Content movement in pixels (positive = down)
+   * @returns {Object} {rows, cols} window movement in cells
+   */
+  applyScrollOffset(dx, dy) {
+    const { cellSize } = this.gridInfo;
+    const rawX = this.gridInfo.offsetX + dx;
+    const rawY = this.gridInfo.offsetY + dy;
+
+    const cols = Math.round((this.baseOffset.x - rawX) / cellSize);
+    const rows = Math.round((this.baseOffset.y - rawY) / cellSize);
+
+    this.gridInfo.offsetX = rawX + cols * cellSize;
+    this.gridInfo.offsetY = rawY + rows * cellSize;
+
+    log('debug', `Grid realigned: offset (${this.gridInfo.offsetX}, ${this.gridInfo.offsetY}), ` +
+      `window moved ${rows} rows, ${cols} cols`);
+
+    return { rows, cols };
+  },
+
   /**
    * Initialize grid state matrix
    * @param {Image} img - Captured screen image
@@ -133,6 +164,7 @@ const grid = {
         this.cells[row][col] = {
           state: 'unknown', // 'unknown', 'covered', 'revealed', 'flag', 'mine', or number
           value: null, // Number 0-8 for revealed cells
+          confidence: 0, // How sure vision is about state and value (0-1)
           neighbors: this.getNeighborIndices(row, col)
         };
       }
@@ -143,9 +175,11 @@ const grid = {
 
   /**
    * Get neighbor cell indices (8 directions)
+   * On a board that continues past the screen, neighbors outside the visible grid
+   * are kept and marked offscreen instead of dropped.
    * @param {number} row - Cell row
    * @param {number} col - Cell column
-   * @returns {Array<{row, col}>} Array of neighbor indices
+   * @returns {Array<{row, col, offscreen}>} Array of neighbor indices
    */
   getNeighborIndices(row, col) {
     const { rows, cols } = this.gridInfo || { rows: Infinity, cols: Infinity };
@@ -159,7 +193,9 @@ const grid = {
         const newCol = col + dc;
 
         if (newRow >= 0 && newRow < rows && newCol >= 0 && newCol < cols) {
-          neighbors.push({ row: newRow, col: newCol });
+          neighbors.push({ row: newRow, col: newCol, offscreen: false });
+        } else if (config.scroll.offscreenNeighbors) {
+          neighbors.push({ row: newRow, col: newCol, offscreen: true });
         }
       }
     }
@@ -177,22 +213,90 @@ const grid = {
     }
 
     const { rows, cols } = this.gridInfo;
+    const startTime = Date.now();
     let scannedCount = 0;
 
+    // Read the whole frame once; every cell is classified from this buffer
+    const frame = vision.readFrame(img);
+
     for (let row = 0; row < rows; row++) {
       for (let col = 0; col < cols; col++) {
-        const coords = this.cellToScreen(row, col);
-        const state = vision.detectCellState(img, coords.x, coords.y);
+        this.scanCell(frame, row, col);
+        scannedCount++;
+      }
+    }
 
-        const cell = this.cells[row][col];
-        cell.state = typeof state === 'number' ? 'revealed' : state;
-        cell.value = typeof state === 'number' ? state : null;
+    log('debug', `Scanned ${scannedCount} cells in ${Date.now() - startTime}ms`);
+  },
 
-        scannedCount++;
+  /**
+   * Rescan only the cells that may have changed: the seeds and their neighbors.
+   * A cell that just turned into an empty (0) cell means the game flood-filled,
+   * so the region keeps growing outward through its neighbors.
+   * @param {Image} img - Captured screen image
+   * @param {Array<{row, col}>} seeds - Cells touched by the last action
+   * @returns {number} Number of cells scanned
+   */
+  scanRegion(img, seeds) {
+    const startTime = Date.now();
+    const frame = vision.readFrame(img);
+    const visited = new Set();
+    const queue = [];
+
+    const enqueue = (row, col) => {
+      const key = `${row},${col}`;
+      if (visited.has(key) || !this.isVisible(row, col)) return;
+      visited.add(key);
+      queue.push({ row, col });
+    };
+
+    for (const seed of seeds) {
+      enqueue(seed.row, seed.col);
+      for (const n of this.getNeighborIndices(seed.row, seed.col)) enqueue(n.row, n.col);
+    }
+
+    let cascaded = 0;
+    while (queue.length > 0) {
+      const { row, col } = queue.shift();
+      const changed = this.scanCell(frame, row, col);
+      const cell = this.cells[row][col];
+
+      if (changed && cell.state === 'revealed' && cell.value === 0) {
+        cascaded++;
+        for (const n of this.getNeighborIndices(row, col)) enqueue(n.row, n.col);
       }
     }
 
-    log('debug', `Scanned ${scannedCount} cells`);
+    log('debug', `Rescanned ${visited.size} cells (${cascaded} new empty) in ${Date.now() - startTime}ms`);
+    return visited.size;
+  },
+
+  /**
+   * Classify one cell from a frame and store its state
+   * @param {Object} frame - Frame from vision.readFrame()
+   * @param {number} row - Cell row
+   * @param {number} col - Cell column
+   * @returns {boolean} True if the cell's state changed
+   */
+  scanCell(frame, row, col) {
+    const coords = this.cellToScreen(row, col);
+    const result = vision.detectCellState(frame, coords.x, coords.y);
+
+    const cell = this.cells[row][col];
+    const previousState = cell.state;
+    const previousValue = cell.value;
+
+    cell.state = result.state;
+    cell.value = result.value;
+    cell.confidence = result.confidence;
+
+    // Learn a confident glyph once per new reading, not on every rescan of the same cell
+    const changed = cell.state !== previousState || cell.value !== previousValue;
+    if (changed && result.learnGlyph) {
+      digits.learn(result.learnGlyph, result.value);
+    }
+
+    return changed;
   },
 
   /**
@@ -221,10 +325,22 @@ const grid = {
     return cell.neighbors.map(n => ({
       row: n.row,
       col: n.col,
-      cell: this.getCell(n.row, n.col)
+      cell: n.offscreen ? this.offscreenCell : this.getCell(n.row, n.col)
     })).filter(n => n.cell !== null);
   },
 
+  /**
+   * Check whether a cell is inside the visible grid
+   * @param {number} row - Cell row
+   * @param {number} col - Cell column
+   * @returns {boolean} True if the cell is on screen
+   */
+  isVisible(row, col) {
+    if (!this.gridInfo) return false;
+    const { rows, cols } = this.gridInfo;
+    return row >= 0 && row < rows && col >= 0 && col < cols;
+  },
+
   /**
    * Count neighbors by state
    * @param {number} row - Cell row
@@ -271,6 +387,7 @@ const grid = {
   reset() {
     this.cells = [];
     this.gridInfo = null;
+    this.baseOffset = null;
     log('info', 'Grid reset');
   }
 };
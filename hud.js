@@ -0,0 +1,296 @@
+/**
+ * HUD Module
+ * Reads numbers shown around the grid (mine counter, score) with OCR or a
+ * seven-segment decoder
+ */
+
+const config = require('./config.js');
+const vision = require('./vision.js');
+const { log } = require('./debug.js');
+
+// Lit segments (a b c d e f g) for each digit
+const SEGMENT_DIGITS = {
+  '1111110': 0,
+  '0110000': 1,
+  '1101101': 2,
+  '1111001': 3,
+  '0110011': 4,
+  '1011011': 5,
+  '1011111': 6,
+  '1110000': 7,
+  '1110010': 7, // Some displays light f on 7
+  '1111111': 8,
+  '1111011': 9,
+  '1110011': 9 // Some displays leave d off on 9
+};
+
+const hud = {
+  // Latest reading by region name (null = not shown or unreadable)
+  values: {},
+
+  // Mines on the board implied by the counter (counter + flags), once it has held steady
+  impliedTotal: null,
+
+  // Candidate total and how many frames in a row have agreed on it
+  candidateTotal: null,
+  candidateFrames: 0,
+
+  // Last counter/flags disagreement reported, so a lasting one is only reported once
+  lastMismatch: null,
+
+  /**
+   * Reset readings for a new game
+   */
+  reset() {
+    this.values = {};
+    this.impliedTotal = null;
+    this.candidateTotal = null;
+    this.candidateFrames = 0;
+    this.lastMismatch = null;
+  },
+
+  /**
+   * Read every configured HUD number from a frame
+   * @param {Image} img - Captured screen image
+   * @returns {Object} Values by region name
+   */
+  read(img) {
+    const frame = vision.readFrame(img);
+
+    for (const name of config.hud.read) {
+      const region = config.hud.regions[name];
+      if (!region) continue;
+
+      const value = this.readNumber(frame, region);
+      const previous = this.values[name];
+      this.values[name] = value;
+
+      if (value !== null && previous !== undefined && previous !== null && value !== previous) {
+        const change = value - previous;
+        log(name === 'score' ? 'info' : 'debug', `HUD ${name}: ${value} (${change > 0 ? '+' : ''}${change})`);
+      }
+    }
+
+    return this.values;
+  },
+
+  /**
+   * Read a number from a region with the configured reader
+   * @param {Object} frame - Frame from vision.readFrame()
+   * @param {Object} region - {left, top, right, bottom}
+   * @returns {number|null} Number shown, or null if unreadable
+   */
+  readNumber(frame, region) {
+    const reader = config.hud.reader === 'auto'
+      ? (typeof paddle !== 'undefined' && paddle.ocrText ? 'ocr' : 'segments')
+      : config.hud.reader;
+
+    return reader === 'ocr' ? this.readByOcr(frame, region) : this.readSegments(frame, region);
+  },
+
+  /**
+   * Read a number with AutoX.js OCR
+   * @param {Object} frame - Frame from vision.readFrame()
+   * @param {Object} region - {left, top, right, bottom}
+   * @returns {number|null} Number shown, or null if unreadable
+   */
+  readByOcr(frame, region) {
+    const clipped = images.clip(frame.img, region.left, region.top,
+      region.right - region.left, region.bottom - region.top);
+    try {
+      // LCD fonts often read as the letter O
+      const text = String(paddle.ocrText(clipped)).replace(/\s/g, '').replace(/[Oo]/g, '0');
+      const match = text.match(/-?\d+/);
+      return match ? parseInt(match[0], 10) : null;
+    } catch (e) {
+      log('debug', `HUD OCR failed: ${e.message}`);
+      return null;
+    } finally {
+      images.recycle(clipped);
+    }
+  },
+
+  /**
+   * Decode a seven-segment display. Lit pixels are those far from the region's
+   * background (its most common color); digits are split on empty columns and each
+   * is decoded by checking the seven segment positions.
+   * @param {Object} frame - Frame from vision.readFrame()
+   * @param {Object} region - {left, top, right, bottom}
+   * @returns {number|null} Number shown, or null if unreadable
+   */
+  readSegments(frame, region) {
+    const width = region.right - region.left;
+    const height = region.bottom - region.top;
+    if (width <= 0 || height <= 0) return null;
+
+    const pixelAt = (x, y) => frame.pixels[(region.top + y) * frame.width + region.left + x];
+
+    const counts = new Map();
+    for (let y = 0; y < height; y += 2) {
+      for (let x = 0; x < width; x += 2) {
+        const color = pixelAt(x, y) & 0xfcfcfc;
+        counts.set(color, (counts.get(color) || 0) + 1);
+      }
+    }
+    let background = 0;
+    let backgroundCount = 0;
+    for (const [color, count] of counts) {
+      if (count > backgroundCount) {
+        background = color;
+        backgroundCount = count;
+      }
+    }
+
+    const bgR = (background >> 16) & 0xff;
+    const bgG = (background >> 8) & 0xff;
+    const bgB = background & 0xff;
+    const lit = (x, y) => {
+      const color = pixelAt(x, y);
+      return Math.abs(((color >> 16) & 0xff) - bgR) + Math.abs(((color >> 8) & 0xff) - bgG) +
+        Math.abs((color & 0xff) - bgB) > config.hud.inkThreshold;
+    };
+
+    // Lit rows and columns bound the digits
+    const litColumns = [];
+    let top = height;
+    let bottom = -1;
+    for (let x = 0; x < width; x++) {
+      let any = false;
+      for (let y = 0; y < height; y++) {
+        if (lit(x, y)) {
+          any = true;
+          top = Math.min(top, y);
+          bottom = Math.max(bottom, y);
+        }
+      }
+      litColumns.push(any);
+    }
+    if (bottom < 0) return null;
+
+    const digitHeight = bottom - top + 1;
+    const boxes = [];
+    let start = -1;
+    for (let x = 0; x <= width; x++) {
+      if (x < width && litColumns[x]) {
+        if (start < 0) start = x;
+      } else if (start >= 0) {
+        boxes.push({ left: start, right: x - 1 });
+        start = -1;
+      }
+    }
+
+    let text = '';
+    for (const box of boxes) {
+      const boxWidth = box.right - box.left + 1;
+
+      // A lone narrow stroke is a 1 (its box is just the right-hand segments)
+      if (boxWidth < digitHeight * 0.25) {
+        text += '1';
+        continue;
+      }
+
+      const share = (cx, cy) => {
+        let on = 0;
+        let total = 0;
+        const rx = Math.max(1, Math.floor(boxWidth * 0.1));
+        const ry = Math.max(1, Math.floor(digitHeight * 0.05));
+        for (let y = Math.max(top, cy - ry); y <= Math.min(bottom, cy + ry); y++) {
+          for (let x = Math.max(box.left, cx - rx); x <= Math.min(box.right, cx + rx); x++) {
+            total++;
+            if (lit(x, y)) on++;
+          }
+        }
+        return total > 0 ? on / total : 0;
+      };
+
+      const x0 = box.left + Math.floor(boxWidth * 0.15);
+      const xm = box.left + Math.floor(boxWidth / 2);
+      const x1 = box.right - Math.floor(boxWidth * 0.15);
+      const y0 = top + Math.floor(digitHeight * 0.08);
+      const yq = top + Math.floor(digitHeight * 0.27);
+      const ym = top + Math.floor(digitHeight / 2);
+      const y3 = top + Math.floor(digitHeight * 0.73);
+      const y1 = bottom - Math.floor(digitHeight * 0.08);
+
+      const segments = [[xm, y0], [x1, yq], [x1, y3], [xm, y1], [x0, y3], [x0, yq], [xm, ym]]
+        .map(([x, y]) => (share(x, y) >= 0.4 ? '1' : '0'))
+        .join('');
+
+      if (segments === '0000001') {
+        text += '-';
+      } else if (SEGMENT_DIGITS[segments] !== undefined) {
+        text += SEGMENT_DIGITS[segments];
+      } else {
+        log('debug', `Unknown seven-segment pattern ${segments}`);
+        return null;
+      }
+    }
+
+    const value = parseInt(text, 10);
+    return isNaN(value) ? null : value;
+  },
+
+  /**
+   * Get the mines left according to the game's counter
+   * @returns {number|null} Counter value, or null if not read
+   */
+  getMineCounter() {
+    const value = this.values.mineCounter;
+    return value === undefined ? null : value;
+  },
+
+  /**
+   * Get the score shown by the game
+   * @returns {number|null} Score, or null if not read
+   */
+  getScore() {
+    const value = this.values.score;
+    return value === undefined ? null : value;
+  },
+
+  /**
+   * Cross-check placed flags against the mine counter. The counter shows
+   * total mines minus flags, so counter + flags should stay constant; a change
+   * means a flag was misread, didn't register, or the counter was misread.
+   * The total is only taken from the counter once `hud.stableReads` frames in a
+   * row agree on it.
+   * @param {number} flags - Flags currently on the board
+   * @returns {Object} {ok, counter, expected, repeated}: expected is null until a baseline
+   *   exists; repeated is true when the same disagreement was already reported
+   */
+  checkFlags(flags) {
+    const counter = this.getMineCounter();
+    if (counter === null) return { ok: true, counter, expected: null, repeated: false };
+
+    if (this.impliedTotal === null) {
+      if (config.solver.totalMines !== null) {
+        this.impliedTotal = config.solver.totalMines;
+      } else {
+        const total = counter + flags;
+        this.candidateFrames = total === this.candidateTotal ? this.candidateFrames + 1 : 1;
+        this.candidateTotal = total;
+        if (this.candidateFrames < config.hud.stableReads) {
+          return { ok: true, counter, expected: null, repeated: false };
+        }
+        this.impliedTotal = total;
+        log('info', `Mine counter implies ${total} mines`);
+      }
+    }
+
+    const expected = this.impliedTotal - flags;
+    if (counter !== expected) {
+      const mismatch = `${counter},${flags}`;
+      const repeated = mismatch === this.lastMismatch;
+      if (!repeated) {
+        log('warn', `Mine counter shows ${counter} but ${flags} flags are placed (expected ${expected})`);
+      }
+      this.lastMismatch = mismatch;
+      return { ok: false, counter, expected, repeated };
+    }
+
+    this.lastMismatch = null;
+    return { ok: true, counter, expected, repeated: false };
+  }
+};
+
+module.exports = hud;
@@ -18,7 +18,15 @@ const config = require('./config.js');
 const autoConfig = require('./auto_config.js');
 const vision = require('./vision.js');
 const grid = require('./grid.js');
+const world = require('./world.js');
+const digits = require('./digits.js');
 const solver = require('./solver.js');
+const consistency = require('./consistency.js');
+const gameState = require('./gamestate.js');
+const session = require('./session.js');
+const hud = require('./hud.js');
+const profiles = require('./profiles.js');
+const calibration = require('./calibration.js');
 const actions = require('./actions.js');
 const debug = require('./debug.js');
 
@@ -27,10 +35,26 @@ const debug = require('./debug.js');
 class MinesweeperBot {
   constructor() {
     this.running = false;
+
+    // Incremental scanning: cells touched since the last scan, or a full scan pending
+    this.dirtyCells = [];
+    this.needsFullScan = true;
+    this.scansSinceFull = 0;
+    this.inconsistentScans = 0;
+    this.wizardDone = false;
+    this.profileKey = null;
+    this.layoutTrusted = false; // Layout came from a checked profile, a usable grid or the wizard
+
+    // Last move, checked against the next capture: {move, attempts}
+    this.pendingMove = null;
     this.stats = {
       moves: 0,
       revealed: 0,
       flags: 0,
+      verifyFailures: 0,
+      retries: 0,
+      undone: 0,
+      chords: 0,
       startTime: null,
       timeElapsed: 0
     };
@@ -50,15 +74,163 @@ class MinesweeperBot {
     debug.toast('Switch to Minesweeper game in 3 seconds...');
     sleep(3000);
 
+    if (!this.calibrate()) {
+      exit();
+    }
+
+    // Load digit templates learned in earlier sessions with this game
+    digits.load(config.digits.theme || currentPackage());
+    this.checkDigitReaders();
+
+    debug.toast('Bot initialized! Starting in 2s...');
+    sleep(2000);
+
+    this.stats.startTime = Date.now();
+  }
+
+  /**
+   * Make sure some digit reader can be trusted. Pattern reads never are, so shape mode
+   * without OCR would leave the solver with no certain moves at all; read digit colors
+   * as well and learn templates from reads where color and shape agree.
+   */
+  checkDigitReaders() {
+    const hasOcr = typeof paddle !== 'undefined' && Boolean(paddle.ocrText);
+    if (hasOcr || config.digits.mode !== 'shape') return;
+
+    debug.log('warn', 'No OCR available: reading digits by color as well (digits.mode = "combined")');
+    config.digits.mode = 'combined';
+    if (!config.digits.useTemplates) {
+      debug.log('warn', 'Digit templates are off; turning them on so confident reads can be learned');
+      config.digits.useTemplates = true;
+    }
+  }
+
+  /**
+   * Detect the game layout from a fresh capture and start a new board.
+   * A saved profile for the game and screen size is used if it still fits the screen,
+   * auto-detection otherwise, and the calibration wizard when neither gives a usable grid.
+   * Runs at startup and again after restarting a finished game.
+   * @returns {boolean} True if calibration succeeded
+   */
+  calibrate() {
+    autoConfig.resetColorSamples();
+
     // Initial screen capture for auto-configuration
     debug.log('info', 'Capturing initial screen for auto-configuration...');
     const img = vision.captureScreen();
 
     if (!img) {
       debug.toast('Failed to capture screen');
-      exit();
+      return false;
     }
 
+    this.profileKey = profiles.keyFor(config.calibration.profile || currentPackage(),
+      img.getWidth(), img.getHeight());
+    // 'always' calibrates once per session; later restarts reuse that calibration
+    const skipProfile = config.calibration.wizard === 'always' && !this.wizardDone;
+    let profile = skipProfile ? null : profiles.load(this.profileKey);
+
+    if (profile) {
+      profiles.apply(profile);
+      grid.reset();
+      grid.detectGrid(img);
+
+      if (!this.checkProfile(img)) {
+        profiles.restoreDefaults();
+        profile = null;
+      }
+    }
+
+    if (!profile) {
+      this.autoDetect(img);
+      grid.reset();
+      grid.detectGrid(img);
+    }
+
+    let calibrated = null;
+    if (this.needsWizard(profile)) {
+      debug.toast('Calibration: tap the points shown on screen');
+      calibrated = calibration.run(img);
+      this.wizardDone = true;
+
+      if (calibrated) {
+        profiles.apply(calibrated);
+        grid.reset();
+        grid.detectGrid(img);
+      }
+    }
+
+    // Remember a calibrated layout, or a detected one that found a usable grid, for
+    // next time. With 'always', only a calibration may replace the saved profile.
+    const detectedUsable = !profile && config.calibration.wizard !== 'always' && this.hasUsableGrid();
+    if (calibrated || detectedUsable) {
+      profiles.save(this.profileKey, profiles.capture());
+    }
+    this.layoutTrusted = Boolean(profile || calibrated || detectedUsable);
+
+    // Start a new board
+    grid.initializeGrid(img);
+    world.reset();
+    hud.reset();
+    actions.resetInputState();
+    images.recycle(img);
+
+    this.dirtyCells = [];
+    this.needsFullScan = true;
+    this.scansSinceFull = 0;
+    this.inconsistentScans = 0;
+    this.pendingMove = null;
+
+    return true;
+  }
+
+  /**
+   * Quick check that a saved profile still fits the screen: nearly every cell of the
+   * grid it describes should show one of its cell colors.
+   * @param {Image} img - Captured screen image (grid already detected from the profile)
+   * @returns {boolean} True if the profile can be used
+   */
+  checkProfile(img) {
+    const match = 1 - gameState.overlayShare(vision.readFrame(img));
+    if (match >= config.calibration.minProfileMatch) {
+      debug.log('info', `Profile matches the screen (${(match * 100).toFixed(0)}% of cells)`);
+      return true;
+    }
+
+    debug.log('warn', `Profile doesn't match the screen (${(match * 100).toFixed(0)}% of cells), detecting again`);
+    return false;
+  }
+
+  /**
+   * Decide whether to ask the user to calibrate, per `config.calibration.wizard`
+   * @param {Object|null} profile - Profile in use, if any
+   * @returns {boolean} True if the wizard should run
+   */
+  needsWizard(profile) {
+    const { wizard } = config.calibration;
+    if (wizard === 'never' || this.wizardDone) return false;
+    if (wizard === 'always') return true;
+    if (profile || this.hasUsableGrid()) return false;
+
+    debug.log('warn', `Auto-detection found only ${grid.gridInfo.rows}x${grid.gridInfo.cols} cells`);
+    return true;
+  }
+
+  /**
+   * Check that the detected grid is big enough to be the real board
+   * @returns {boolean} True if it has at least `config.calibration.minGridCells` rows and columns
+   */
+  hasUsableGrid() {
+    const { rows, cols } = grid.gridInfo;
+    const { minGridCells } = config.calibration;
+    return rows >= minGridCells && cols >= minGridCells;
+  }
+
+  /**
+   * Fill in the layout and colors by auto-detection
+   * @param {Image} img - Captured screen image
+   */
+  autoDetect(img) {
     // Auto-detect configuration from screenshot
     debug.toast('Auto-detecting configuration...');
     const detectedConfig = autoConfig.detectConfiguration(img);
@@ -81,20 +253,15 @@ class MinesweeperBot {
     // Merge colors (auto-detected colors override defaults)
     config.colors = Object.assign({}, config.colors, detectedConfig.colors);
 
+    if (!config.hud.manual) {
+      config.hud.regions = detectedConfig.hudRegions;
+    }
+
     debug.log('info', 'Final configuration:');
     debug.log('info', `  Screen: ${config.screenWidth}x${config.screenHeight}`);
     debug.log('info', `  Game area: ${JSON.stringify(config.gameArea)}`);
     debug.log('info', `  Cell size: ${config.cellSize}px`);
-
-    // Detect and initialize grid
-    grid.detectGrid(img);
-    grid.initializeGrid(img);
-    images.recycle(img);
-
-    debug.toast('Bot initialized! Starting in 2s...');
-    sleep(2000);
-
-    this.stats.startTime = Date.now();
+    debug.log('info', `  HUD: ${Object.keys(config.hud.regions).join(', ') || 'none'}`);
   }
 
   /**
@@ -106,25 +273,58 @@ class MinesweeperBot {
     let lastRevealedCount = 0;
 
     debug.log('info', '=== Starting Main Loop ===');
+    session.start();
+    if (session.isActive()) {
+      debug.log('info', `Session mode: playing ${config.session.games} games`);
+    }
 
     while (this.running) {
       try {
-        // Capture current screen
-        const img = vision.captureScreen();
+        // Capture the screen once animations from the last action have settled
+        const img = vision.captureStable();
         if (!img) {
           debug.log('error', 'Screen capture failed');
           sleep(1000);
           continue;
         }
 
-        // Update grid state from screen
-        grid.scanGrid(img);
+        // Update grid state from screen and merge it into the world map
+        const fullScan = this.scanBoard(img);
+        world.merge(grid.cells);
+
+        // Read the HUD; a counter that disagrees with the flags means a flag was misread.
+        // A lasting disagreement only forces one full scan.
+        if (config.hud.read.length > 0) {
+          hud.read(img);
+          const flagCheck = hud.checkFlags(world.getStats().flags);
+          if (!flagCheck.ok && !flagCheck.repeated) {
+            this.needsFullScan = true;
+          }
+        }
+
+        // Full scans see the whole board: a good time to re-estimate cell colors
+        if (config.refine.enabled && fullScan) {
+          this.refineColors(img);
+        }
 
         // Save debug screenshot if configured
         if (config.debug.saveScreenshots) {
           debug.saveScreenshot(img, `frame_${this.stats.moves}.png`);
         }
 
+        // Stop acting on the board once the game has ended
+        if (config.gameEnd.detect) {
+          const ending = gameState.detect(img);
+          if (ending.state !== 'playing') {
+            const playOn = this.handleGameEnd(ending, img);
+            images.recycle(img);
+            if (!playOn) break;
+            lastRevealedCount = 0;
+            iterationsWithoutProgress = 0;
+            continue;
+          }
+        }
+
         images.recycle(img);
 
         // Get current stats
@@ -145,18 +345,47 @@ class MinesweeperBot {
 
           // Try scrolling to reveal more cells
           if (config.scroll.enabled) {
-            actions.scroll();
+            this.scrollBoard();
             iterationsWithoutProgress = 0;
             continue;
           }
         }
 
+        // Make sure the last action took effect before planning the next one
+        if (this.pendingMove && this.verifyPendingMove()) {
+          continue;
+        }
+
+        // Never act on a board that can't exist; re-read the likeliest misreads first
+        if (config.scan.validate && this.resolveContradictions()) {
+          continue;
+        }
+
+        // Re-read cells vision wasn't sure about before trusting them with a move;
+        // each reading gets a few attempts, then the solver works around it
+        const uncertain = solver.findUncertainCells();
+        if (uncertain.length > 0) {
+          debug.log('info', `Re-capturing ${uncertain.length} low-confidence cells`);
+          for (const c of uncertain) world.getCell(c.row, c.col).recaptures++;
+          this.dirtyCells.push(...uncertain.map(c => world.toScreen(c.row, c.col)));
+          continue;
+        }
+
         // Get next move from solver
         const move = solver.getNextMove();
 
         if (!move) {
           debug.log('warn', 'No moves available');
 
+          // Scroll back to areas that still have certain moves off screen
+          const pending = solver.findSafeMoves(false);
+          const direction = pending.length > 0 ? world.directionTo(pending[0].row, pending[0].col) : null;
+          if (config.scroll.enabled && direction) {
+            debug.log('info', `${pending.length} moves left off screen, scrolling ${direction}...`);
+            this.scrollBoard(direction);
+            continue;
+          }
+
           // Check if solved
           if (solver.isSolved()) {
             debug.toast('Grid solved!');
@@ -165,8 +394,7 @@ class MinesweeperBot {
             // Scroll to continue infinite game
             if (config.scroll.enabled) {
               debug.log('info', 'Scrolling to continue...');
-              actions.scroll();
-              sleep(1000);
+              this.scrollBoard();
               continue;
             } else {
               // Stop if no scrolling
@@ -176,8 +404,7 @@ class MinesweeperBot {
 
           // Try scrolling if stuck
           if (config.scroll.enabled) {
-            actions.scroll();
-            sleep(1000);
+            this.scrollBoard();
             continue;
           }
 
@@ -189,21 +416,21 @@ class MinesweeperBot {
         // Execute the move
         debug.log('info', `Move ${this.stats.moves + 1}: ${move.action} at (${move.row}, ${move.col}) - ${move.reason}`);
 
-        const coords = grid.cellToScreen(move.row, move.col);
-        if (!coords) {
-          debug.log('error', 'Invalid cell coordinates');
+        session.recordMove(move);
+
+        if (!this.performMove(move, 0)) {
           continue;
         }
 
-        // Perform action
         if (move.action === 'reveal') {
-          actions.revealCell(coords.x, coords.y);
           this.stats.revealed++;
         } else if (move.action === 'flag') {
-          actions.placeFlag(coords.x, coords.y);
           this.stats.flags++;
+        } else if (move.action === 'chord') {
+          // One move that opens several cells
+          this.stats.chords++;
+          this.stats.revealed += move.cells.length;
         }
-
         this.stats.moves++;
 
         // Update elapsed time
@@ -214,22 +441,19 @@ class MinesweeperBot {
           debug.showStats(this.stats);
         }
 
-        // Wait between moves
-        sleep(config.delays.betweenMoves);
-
         // Check if should scroll (based on progress)
         if (config.scroll.enabled) {
           const revealedPercent = gridStats.revealed / gridStats.total;
           if (revealedPercent >= config.scroll.whenToScroll) {
             debug.log('info', `${(revealedPercent * 100).toFixed(0)}% revealed, scrolling...`);
-            actions.scroll();
-            sleep(1000);
+            this.scrollBoard();
           }
         }
 
       } catch (e) {
         debug.log('error', `Loop error: ${e.message}`);
         debug.log('error', e.stack);
+        this.needsFullScan = true;
         sleep(1000);
       }
     }
@@ -237,6 +461,269 @@ class MinesweeperBot {
     this.cleanup();
   }
 
+  /**
+   * Tap or long-press the cell for a move and queue it for verification
+   * @param {Object} move - Move in world coordinates
+   * @param {number} attempts - Retries already made for this move
+   * @returns {boolean} True if the action was performed
+   */
+  performMove(move, attempts) {
+    // Solver moves are in world coordinates
+    const screenCell = world.toScreen(move.row, move.col);
+    const coords = grid.cellToScreen(screenCell.row, screenCell.col);
+    if (!coords) {
+      debug.log('error', 'Invalid cell coordinates');
+      return false;
+    }
+
+    if (move.action === 'reveal') {
+      actions.revealCell(coords.x, coords.y);
+    } else if (move.action === 'flag') {
+      actions.placeFlag(coords.x, coords.y);
+    } else if (move.action === 'chord') {
+      actions.chordCell(coords.x, coords.y);
+    }
+
+    this.dirtyCells.push(screenCell);
+    if (config.verify.enabled) {
+      this.pendingMove = { move, attempts };
+    }
+    return true;
+  }
+
+  /**
+   * Check the last move against the fresh scan. A move that didn't register is
+   * retried up to `config.verify.maxRetries` times; a reveal that landed as a flag
+   * (the tap was taken as a long press) has the flag removed first.
+   * @returns {boolean} True if an action was retried and the board must be captured again
+   */
+  verifyPendingMove() {
+    const { move, attempts } = this.pendingMove;
+    this.pendingMove = null;
+
+    // A chord is checked through the cells it should have opened
+    const target = move.action === 'chord'
+      ? move.cells.find(c => world.isVisible(c.row, c.col) && (world.getCell(c.row, c.col) || {}).state === 'covered')
+      : move;
+
+    // Scrolled out of view since; the next scan of that area will show what happened
+    if (!target || !world.isVisible(target.row, target.col)) return false;
+
+    const cell = world.getCell(target.row, target.col);
+    const expected = move.action === 'flag' ? 'flag' : 'revealed';
+    if (!cell || cell.state === expected) return false;
+
+    this.stats.verifyFailures++;
+    debug.log('warn', `${move.action} at (${target.row}, ${target.col}) didn't take: cell is ${cell.state}`);
+    actions.noteUnexpected(move.action, cell.state);
+
+    if (move.action === 'flag' && cell.state === 'revealed') {
+      // The long press was taken as a tap; the cell is open and can't be undone
+      debug.log('warn', 'Flag press revealed the cell instead');
+      return false;
+    }
+
+    if (attempts >= config.verify.maxRetries) {
+      debug.log('error', `Giving up on (${move.row}, ${move.col}) after ${attempts} retries`);
+      this.needsFullScan = true;
+      return false;
+    }
+
+    if (move.action === 'reveal' && cell.state === 'flag') {
+      const screenCell = world.toScreen(move.row, move.col);
+      const coords = grid.cellToScreen(screenCell.row, screenCell.col);
+      actions.removeFlag(coords.x, coords.y);
+      this.stats.undone++;
+    }
+
+    this.stats.retries++;
+    return this.performMove(move, attempts + 1);
+  }
+
+  /**
+   * Update the grid from a frame. After a move only the touched cells (and any
+   * flood-fill they caused) are rescanned; the whole grid is rescanned after a
+   * scroll, after an error, and every `config.scan.fullScanEvery` scans.
+   * @param {Image} img - Captured screen image
+   * @returns {boolean} True if the whole grid was scanned
+   */
+  scanBoard(img) {
+    const full = !config.scan.incremental || this.needsFullScan ||
+      this.scansSinceFull >= config.scan.fullScanEvery;
+
+    if (full) {
+      grid.scanGrid(img);
+      this.needsFullScan = false;
+      this.scansSinceFull = 0;
+    } else {
+      grid.scanRegion(img, this.dirtyCells);
+      this.scansSinceFull++;
+    }
+
+    this.dirtyCells = [];
+    return full;
+  }
+
+  /**
+   * Feed the confidently read cells of the latest scan to color refinement.
+   * Numbered cells are left out: their center pixel is usually part of the digit.
+   * @param {Image} img - Captured screen image the grid was scanned from
+   */
+  refineColors(img) {
+    const known = [];
+
+    grid.cells.forEach((cells, row) => cells.forEach((cell, col) => {
+      if (cell.confidence < config.vision.minConfidence) return;
+      if (cell.state === 'revealed' && cell.value !== 0) return;
+
+      const { x, y } = grid.cellToScreen(row, col);
+      known.push({ x, y, state: cell.state });
+    }));
+
+    autoConfig.refineColors(vision.readFrame(img), known);
+  }
+
+  /**
+   * React to a lost or won game as configured in `config.gameEnd`.
+   * In session mode the bot restarts after every game until the session is done.
+   * @param {Object} ending - Result of gameState.detect()
+   * @param {Image} img - Frame showing the end of the game
+   * @returns {boolean} True if a new game was started and the loop should go on
+   */
+  handleGameEnd(ending, img) {
+    const reaction = ending.state === 'won' ? config.gameEnd.onWin : config.gameEnd.onLoss;
+
+    debug.toast(ending.state === 'won' ? 'Game won!' : 'Game over');
+    debug.log('info', `Game ${ending.state} (${ending.reason}), reaction: ${reaction}`);
+    session.endGame(ending.state);
+
+    if (reaction === 'screenshot') {
+      debug.saveScreenshot(img, `${ending.state}_${Date.now()}.png`, true);
+    }
+
+    if (session.isActive()) {
+      if (!session.hasGamesLeft()) {
+        debug.log('info', 'Session complete');
+        return false;
+      }
+      return this.restart(ending);
+    }
+
+    return reaction === 'restart' && this.restart(ending);
+  }
+
+  /**
+   * Tap the restart button and calibrate on the new board
+   * @param {Object} ending - Result of gameState.detect()
+   * @returns {boolean} True if the new game is ready
+   */
+  restart(ending) {
+    const hudButton = config.hud.regions.restartButton;
+    const button = config.gameEnd.restartButton || ending.button || (hudButton && {
+      x: Math.round((hudButton.left + hudButton.right) / 2),
+      y: Math.round((hudButton.top + hudButton.bottom) / 2)
+    });
+    if (!button) {
+      debug.log('error', 'No restart button configured or found, stopping');
+      return false;
+    }
+
+    debug.log('info', `Restarting: tapping (${button.x}, ${button.y})`);
+    actions.tap(button.x, button.y);
+    sleep(config.gameEnd.restartDelay);
+
+    if (!this.calibrate()) return false;
+
+    session.startGame();
+    return true;
+  }
+
+  /**
+   * Check the board for contradictions and queue the suspect cells for a rescan.
+   * Suspects are rescanned `config.scan.targetedRescans` times, then the whole grid
+   * once; after that, moves go ahead and the solver plays around the contradiction.
+   * @returns {boolean} True if moves must wait for a rescan
+   */
+  resolveContradictions() {
+    const check = consistency.check();
+    if (check.ok) {
+      this.inconsistentScans = 0;
+      return false;
+    }
+
+    // Nothing on screen to re-read; the solver ignores the contradicting cells
+    // until the area is scrolled back into view
+    if (check.suspects.length === 0) {
+      debug.log('warn', 'Contradictions are all off screen, continuing without them');
+      return false;
+    }
+
+    this.inconsistentScans++;
+    const fullRescan = config.scan.targetedRescans + 1;
+    if (this.inconsistentScans > fullRescan) {
+      // Even a full rescan reads it this way; the solver already ignores contradicted cells
+      if (this.inconsistentScans === fullRescan + 1) {
+        debug.log('warn', 'Contradictions survive a full rescan, playing around them');
+      }
+      return false;
+    }
+
+    if (this.inconsistentScans === fullRescan) {
+      debug.log('warn', 'Contradictions persist, rescanning the whole grid');
+      this.needsFullScan = true;
+    } else {
+      debug.log('info', `Rescanning ${check.suspects.length} suspect cells ` +
+        `(least confident at (${check.suspects[0].row}, ${check.suspects[0].col}))`);
+      this.dirtyCells.push(...check.suspects.map(s => world.toScreen(s.row, s.col)));
+    }
+
+    return true;
+  }
+
+  /**
+   * Scroll the board and move the world map window to match.
+   * The real displacement is measured by comparing frames before and after the swipe,
+   * falling back to the nominal swipe distance if that fails.
+   * @param {string} direction - "up", "down", "left", "right"
+   */
+  scrollBoard(direction = config.scroll.direction) {
+    const distance = config.scroll.pixelsPerScroll;
+    let before = null;
+
+    if (config.scroll.measureOffset) {
+      const img = vision.captureStable();
+      if (img) {
+        before = vision.sampleBrightness(vision.readFrame(img));
+        images.recycle(img);
+      }
+    }
+
+    actions.scroll(direction, distance);
+
+    let offset = null;
+    if (before) {
+      const img = vision.captureStable();
+      if (img) {
+        const after = vision.sampleBrightness(vision.readFrame(img));
+        offset = vision.measureScrollOffset(before, after, direction, distance, grid.gridInfo.cellSize);
+        images.recycle(img);
+      }
+    }
+
+    let moved;
+    if (offset) {
+      moved = grid.applyScrollOffset(offset.dx, offset.dy);
+      debug.log('info', `Scrolled ${direction}: measured (${offset.dx}, ${offset.dy})px = ` +
+        `(${offset.cellsX.toFixed(2)}, ${offset.cellsY.toFixed(2)}) cells`);
+    } else {
+      moved = world.scrollToCells(direction, distance, grid.gridInfo.cellSize);
+      debug.log('info', `Scrolled ${direction}: assuming ${distance}px`);
+    }
+
+    world.shift(moved.rows, moved.cols);
+    this.needsFullScan = true;
+  }
+
   /**
    * Stop the bot
    */
@@ -249,6 +736,14 @@ class MinesweeperBot {
    * Cleanup and show final stats
    */
   cleanup() {
+    digits.save();
+    gameState.release();
+
+    // Keep colors refined during play for the next launch
+    if (this.profileKey && this.layoutTrusted) {
+      profiles.save(this.profileKey, profiles.capture());
+    }
+    if (session.isActive()) session.finish();
     debug.log('info', '=== Bot Stopped ===');
     debug.showStats(this.stats);
     debug.cleanup();
@@ -279,23 +774,27 @@ function main() {
   // Create bot instance
   const bot = new MinesweeperBot();
 
-  // Set up volume down to stop
+  // Set up volume down to stop; the loop finishes its iteration and cleans up
   events.observeKey();
   events.onKeyDown('volume_down', () => {
     debug.log('info', 'Volume Down pressed - stopping bot');
     bot.stop();
-    exit();
   });
 
-  // Initialize and run
-  try {
-    bot.init();
-    bot.run();
-  } catch (e) {
-    console.error('Fatal error:', e.message);
-    console.error(e.stack);
-    debug.toast('Bot crashed: ' + e.message);
-  }
+  // Initialize and run off the UI thread, which the calibration wizard needs
+  threads.start(() => {
+    try {
+      bot.init();
+      bot.run();
+    } catch (e) {
+      console.error('Fatal error:', e.message);
+      console.error(e.stack);
+      debug.toast('Bot crashed: ' + e.message);
+    }
+
+    // The key observer keeps the script alive; end it once the bot has cleaned up
+    exit();
+  });
 }
 
 // Run main function
@@ -0,0 +1,130 @@
+/**
+ * Profiles Module
+ * Saves and restores layouts (game area, cell size, colors, input style)
+ * per game package and screen resolution
+ */
+
+const config = require('./config.js');
+const { log } = require('./debug.js');
+
+const profiles = {
+  // Config values from before any profile was applied
+  defaults: null,
+
+  /**
+   * Build the profile name for a game on this device
+   * @param {string} packageName - Game package name
+   * @param {number} width - Screen width in pixels
+   * @param {number} height - Screen height in pixels
+   * @returns {string} Profile name
+   */
+  keyFor(packageName, width, height) {
+    return `${packageName}_${width}x${height}`;
+  },
+
+  /**
+   * Get the profile file path for a name
+   * @param {string} name - Profile name
+   * @returns {string} File path
+   */
+  profileFile(name) {
+    const safeName = String(name).replace(/[^\w.-]/g, '_');
+    return `${config.calibration.profilePath}${safeName}.json`;
+  },
+
+  /**
+   * Load a saved profile
+   * @param {string} name - Profile name
+   * @returns {Object|null} Profile, or null if none is saved
+   */
+  load(name) {
+    const path = this.profileFile(name);
+    try {
+      if (!files.exists(path)) return null;
+      const profile = JSON.parse(files.read(path));
+      log('info', `Loaded profile "${name}"`);
+      return profile;
+    } catch (e) {
+      log('error', `Failed to load profile "${name}": ${e.message}`);
+      return null;
+    }
+  },
+
+  /**
+   * Save a profile
+   * @param {string} name - Profile name
+   * @param {Object} profile - {gameArea, cellSize, colors, input, screenWidth, screenHeight}
+   */
+  save(name, profile) {
+    try {
+      files.ensureDir(config.calibration.profilePath);
+      files.write(this.profileFile(name), JSON.stringify(profile, null, 2));
+      log('info', `Profile saved: ${this.profileFile(name)}`);
+    } catch (e) {
+      log('error', `Failed to save profile "${name}": ${e.message}`);
+    }
+  },
+
+  /**
+   * Build a profile from the configuration in use
+   * @returns {Object} Profile
+   */
+  capture() {
+    return {
+      screenWidth: config.screenWidth,
+      screenHeight: config.screenHeight,
+      gameArea: Object.assign({}, config.gameArea),
+      cellSize: config.cellSize,
+      colors: Object.assign({}, config.colors),
+      hudRegions: Object.assign({}, config.hud.regions),
+      input: Object.assign({}, config.input),
+      savedAt: new Date().toISOString()
+    };
+  },
+
+  /**
+   * Use a profile's layout and colors instead of auto-detection
+   * @param {Object} profile - Saved profile
+   */
+  apply(profile) {
+    if (!this.defaults) {
+      this.defaults = {
+        screenWidth: config.screenWidth,
+        screenHeight: config.screenHeight,
+        gameAreaManual: config.gameAreaManual,
+        gameArea: config.gameArea,
+        cellSize: config.cellSize,
+        colors: config.colors,
+        hudRegions: config.hud.regions,
+        input: config.input
+      };
+    }
+
+    config.screenWidth = profile.screenWidth;
+    config.screenHeight = profile.screenHeight;
+    config.gameArea = Object.assign({}, profile.gameArea);
+    config.gameAreaManual = true;
+    config.cellSize = profile.cellSize;
+    config.colors = Object.assign({}, config.colors, profile.colors);
+    config.input = Object.assign({}, config.input, profile.input);
+    if (profile.hudRegions && !config.hud.manual) {
+      config.hud.regions = Object.assign({}, profile.hudRegions);
+    }
+
+    log('info', `Using profile: game area ${JSON.stringify(config.gameArea)}, cell size ${config.cellSize}px`);
+  },
+
+  /**
+   * Undo apply(), so auto-detection starts from the values in config.js again
+   */
+  restoreDefaults() {
+    if (!this.defaults) return;
+    const defaults = this.defaults;
+    config.hud.regions = defaults.hudRegions;
+    delete defaults.hudRegions;
+    Object.assign(config, defaults);
+    this.defaults = null;
+  }
+};
+
+module.exports = profiles;
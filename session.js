@@ -0,0 +1,169 @@
+/**
+ * Session Module
+ * Records results over a run of games and summarizes them
+ */
+
+const config = require('./config.js');
+const world = require('./world.js');
+const hud = require('./hud.js');
+const { log } = require('./debug.js');
+
+const session = {
+  results: [],
+  current: null, // {startTime, guesses, moves, lastMove} for the game in progress
+  startTime: null,
+
+  /**
+   * Start a new session
+   */
+  start() {
+    this.results = [];
+    this.startTime = Date.now();
+    this.startGame();
+  },
+
+  /**
+   * Check whether the bot is playing a fixed number of games
+   * @returns {boolean} True if session mode is on
+   */
+  isActive() {
+    return config.session.games > 0;
+  },
+
+  /**
+   * Check whether more games should be played after the current one
+   * @returns {boolean} True if the session isn't finished
+   */
+  hasGamesLeft() {
+    return this.isActive() && this.results.length < config.session.games;
+  },
+
+  /**
+   * Begin recording a game
+   */
+  startGame() {
+    this.current = { startTime: Date.now(), guesses: 0, moves: 0, lastMove: null };
+  },
+
+  /**
+   * Record a move made in the current game
+   * @param {Object} move - Move from the solver
+   */
+  recordMove(move) {
+    if (!this.current) return;
+
+    this.current.moves++;
+    if (move.guess) this.current.guesses++;
+    this.current.lastMove = move;
+  },
+
+  /**
+   * Finish recording the current game.
+   * A loss right after a guess is put down to the guess; a loss after a move the
+   * solver was certain of means the board was misread.
+   * @param {string} result - "won", "lost" or "stopped"
+   * @returns {Object|null} The game's result record
+   */
+  endGame(result) {
+    if (!this.current) return null;
+
+    const game = this.current;
+    let lossCause = null;
+    if (result === 'lost') {
+      lossCause = game.lastMove && game.lastMove.guess ? 'guess' : 'misread';
+    }
+
+    const record = {
+      game: this.results.length + 1,
+      result,
+      revealed: world.getStats().revealed,
+      moves: game.moves,
+      guesses: game.guesses,
+      score: hud.getScore(),
+      lossCause,
+      duration: (Date.now() - game.startTime) / 1000
+    };
+
+    this.results.push(record);
+    this.current = null;
+
+    log('info', `Game ${record.game}: ${result}` + (lossCause ? ` (${lossCause})` : '') +
+      `, ${record.revealed} revealed, ${record.guesses} guesses, ${record.duration.toFixed(1)}s`);
+
+    return record;
+  },
+
+  /**
+   * Aggregate the results recorded so far
+   * @returns {Object} Session summary
+   */
+  summarize() {
+    const count = (fn) => this.results.filter(fn).length;
+    const mean = (key) => this.results.length > 0
+      ? this.results.reduce((sum, r) => sum + r[key], 0) / this.results.length
+      : 0;
+
+    const scores = this.results.filter(r => r.score !== null).map(r => r.score);
+    const won = count(r => r.result === 'won');
+    const lost = count(r => r.result === 'lost');
+
+    return {
+      games: this.results.length,
+      won,
+      lost,
+      stopped: count(r => r.result === 'stopped'),
+      winRate: won + lost > 0 ? won / (won + lost) : 0,
+      meanDuration: mean('duration'),
+      meanRevealed: mean('revealed'),
+      meanGuesses: mean('guesses'),
+      meanScore: scores.length > 0 ? scores.reduce((sum, s) => sum + s, 0) / scores.length : null,
+      lossCauses: {
+        guess: count(r => r.lossCause === 'guess'),
+        misread: count(r => r.lossCause === 'misread')
+      },
+      startTime: new Date(this.startTime).toISOString(),
+      results: this.results
+    };
+  },
+
+  /**
+   * Close the session: record an unfinished game as stopped, then print and save the summary
+   * @returns {Object} Session summary
+   */
+  finish() {
+    if (this.current && this.current.moves > 0) {
+      this.endGame('stopped');
+    }
+
+    const summary = this.summarize();
+
+    log('info', '=== Session Summary ===');
+    log('info', `Games: ${summary.games} (${summary.won} won, ${summary.lost} lost, ${summary.stopped} stopped)`);
+    log('info', `Win rate: ${(summary.winRate * 100).toFixed(1)}%`);
+    log('info', `Mean time: ${summary.meanDuration.toFixed(1)}s, mean revealed: ${summary.meanRevealed.toFixed(1)}`);
+    log('info', `Losses from guesses: ${summary.lossCauses.guess}, from misreads: ${summary.lossCauses.misread}`);
+
+    if (summary.games > 0) {
+      this.save(summary);
+    }
+
+    return summary;
+  },
+
+  /**
+   * Save a summary as JSON
+   * @param {Object} summary - Result of summarize()
+   */
+  save(summary) {
+    try {
+      const path = `${config.session.resultsPath}session_${this.startTime}.json`;
+      files.ensureDir(config.session.resultsPath);
+      files.write(path, JSON.stringify(summary, null, 2));
+      log('info', `Session results saved: ${path}`);
+    } catch (e) {
+      log('error', `Failed to save session results: ${e.message}`);
+    }
+  }
+};
+
+module.exports = session;
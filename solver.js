@@ -1,79 +1,255 @@
 /**
  * Minesweeper Solver Module
  * Constraint satisfaction and probability-based solving logic
+ * Works on the world map, so cells that scrolled off screen still count.
  */
 
 const config = require('./config.js');
-const grid = require('./grid.js');
+const world = require('./world.js');
+const hud = require('./hud.js');
 const { log } = require('./debug.js');
 
 const solver = {
+  // Exact component results from earlier frames, keyed by constraint signature
+  componentCache: new Map(),
+  maxCachedComponents: 500,
+
   /**
    * Find all safe moves (cells guaranteed to be safe)
-   * @returns {Array<{row, col, action}>} Array of moves: action = 'reveal' or 'flag'
+   * @param {boolean} visibleOnly - Only return moves on cells currently on screen
+   * @returns {Array<{row, col, action}>} Array of moves: action = 'reveal', 'flag' or 'chord'
+   *   (a chord is made on the number and opens the covered `cells` around it)
    */
-  findSafeMoves() {
+  findSafeMoves(visibleOnly = true) {
     const moves = [];
 
-    if (!grid.cells.length) {
+    if (!world.cells.size) {
       log('warn', 'No grid data available');
       return moves;
     }
 
-    const { rows, cols } = grid.gridInfo;
+    world.forEachFrontierCell((cell, row, col) => {
+      // Only analyze revealed cells with numbers
+      if (cell.state !== 'revealed' || cell.value === 0 || cell.value === null) {
+        return;
+      }
 
-    for (let row = 0; row < rows; row++) {
-      for (let col = 0; col < cols; col++) {
-        const cell = grid.getCell(row, col);
+      const neighbors = world.getNeighbors(row, col);
 
-        // Only analyze revealed cells with numbers
-        if (cell.state !== 'revealed' || cell.value === 0 || cell.value === null) {
-          continue;
-        }
+      // A misread number or neighbor would make a "certain" move wrong
+      if (!this.isTrusted(cell) || !neighbors.every(n => this.isTrusted(n.cell))) {
+        return;
+      }
 
-        const neighbors = grid.getNeighbors(row, col);
-        const coveredNeighbors = neighbors.filter(n => n.cell.state === 'covered');
-        const flaggedNeighbors = neighbors.filter(n => n.cell.state === 'flag');
-
-        const mineCount = cell.value;
-        const flaggedCount = flaggedNeighbors.length;
-        const coveredCount = coveredNeighbors.length;
-
-        // Rule 1: If all mines are flagged, reveal remaining neighbors
-        if (flaggedCount === mineCount && coveredCount > 0) {
-          for (const n of coveredNeighbors) {
-            moves.push({
-              row: n.row,
-              col: n.col,
-              action: 'reveal',
-              confidence: 1.0,
-              reason: `All ${mineCount} mines flagged around (${row},${col})`
-            });
-          }
+      // Remembered mines (flagless play) count as flags
+      const coveredNeighbors = neighbors.filter(n => world.isCovered(n.cell));
+      const flaggedNeighbors = neighbors.filter(n => world.isFlagged(n.cell));
+      const unseenCount = neighbors.filter(n => n.cell.state === 'offscreen').length;
+
+      const mineCount = cell.value;
+      const flaggedCount = flaggedNeighbors.length;
+      const coveredCount = coveredNeighbors.length;
+
+      // Rule 1: If all mines are flagged, reveal remaining neighbors
+      // (with a single chord on the number when several are left). The game only
+      // chords around real flags, so remembered mines get flagged first when that
+      // still saves taps.
+      const unflagged = flaggedNeighbors.filter(n => n.cell.state !== 'flag');
+      const chordWorthIt = config.solver.chording && coveredCount >= config.solver.minChordCells &&
+        (unflagged.length === 0 || unflagged.length + 1 < coveredCount);
+
+      if (flaggedCount === mineCount && chordWorthIt && unflagged.length > 0) {
+        for (const n of unflagged) {
+          moves.push({
+            row: n.row,
+            col: n.col,
+            action: 'flag',
+            forChord: true,
+            confidence: 1.0,
+            reason: `Flag for chord at (${row},${col})`
+          });
+        }
+      } else if (flaggedCount === mineCount && chordWorthIt) {
+        moves.push({
+          row,
+          col,
+          action: 'chord',
+          cells: coveredNeighbors.map(n => ({ row: n.row, col: n.col })),
+          confidence: 1.0,
+          reason: `Chord: all ${mineCount} mines flagged, ${coveredCount} cells to open`
+        });
+      } else if (flaggedCount === mineCount && coveredCount > 0) {
+        for (const n of coveredNeighbors) {
+          moves.push({
+            row: n.row,
+            col: n.col,
+            action: 'reveal',
+            confidence: 1.0,
+            reason: `All ${mineCount} mines flagged around (${row},${col})`
+          });
         }
+      }
 
-        // Rule 2: If remaining covered cells equal remaining mines, flag them all
-        if (coveredCount + flaggedCount === mineCount && coveredCount > 0) {
-          for (const n of coveredNeighbors) {
-            moves.push({
-              row: n.row,
-              col: n.col,
-              action: 'flag',
-              confidence: 1.0,
-              reason: `${coveredCount} covered = ${mineCount - flaggedCount} remaining mines at (${row},${col})`
-            });
-          }
+      // Rule 2: If remaining covered cells equal remaining mines, flag them all
+      // (offscreen neighbors might hold mines too, so they count as covered)
+      if (coveredCount + unseenCount + flaggedCount === mineCount && coveredCount > 0) {
+        for (const n of coveredNeighbors) {
+          moves.push({
+            row: n.row,
+            col: n.col,
+            action: 'flag',
+            confidence: 1.0,
+            reason: `${coveredCount + unseenCount} covered = ${mineCount - flaggedCount} remaining mines at (${row},${col})`
+          });
         }
       }
-    }
+    });
+
+    // Compare overlapping constraints for deductions single cells can't make
+    moves.push(...this.findPairwiseMoves(this.buildConstraints().filter(c => c.trusted)));
 
     // Remove duplicates (same cell might be marked safe by multiple constraints)
-    const uniqueMoves = this.deduplicateMoves(moves);
-    log('info', `Found ${uniqueMoves.length} safe moves`);
+    let uniqueMoves = this.deduplicateMoves(moves);
+    if (visibleOnly) {
+      uniqueMoves = uniqueMoves.filter(m => world.isVisible(m.row, m.col));
+    }
+    log('debug', `Found ${uniqueMoves.length} safe moves`);
 
     return uniqueMoves;
   },
 
+  /**
+   * Build one constraint per numbered cell: its covered neighbors hold exactly `mines` mines.
+   * Neighbors never seen on screen are included as unknowns (marked `unseen`) so edge
+   * numbers stay correct, but no move is ever made on them.
+   * A constraint is `trusted` only if vision was confident about the number and every neighbor.
+   * @returns {Array<Object>} Array of {row, col, cells, keys, mines, trusted}
+   */
+  buildConstraints() {
+    const constraints = [];
+
+    world.forEachFrontierCell((cell, row, col) => {
+      if (cell.state !== 'revealed' || cell.value === 0 || cell.value === null) {
+        return;
+      }
+
+      const neighbors = world.getNeighbors(row, col);
+      const unknownNeighbors = neighbors.filter(n =>
+        world.isCovered(n.cell) || n.cell.state === 'offscreen'
+      );
+      const flaggedCount = neighbors.filter(n => world.isFlagged(n.cell)).length;
+
+      if (unknownNeighbors.length === 0) return;
+
+      const cells = unknownNeighbors.map(n => ({
+        row: n.row,
+        col: n.col,
+        unseen: n.cell.state === 'offscreen'
+      }));
+      constraints.push({
+        row,
+        col,
+        cells,
+        keys: new Set(cells.map(c => `${c.row},${c.col}`)),
+        mines: cell.value - flaggedCount,
+        trusted: this.isTrusted(cell) && neighbors.every(n => this.isTrusted(n.cell))
+      });
+    });
+
+    return constraints;
+  },
+
+  /**
+   * Check whether vision read a cell confidently enough to build certain moves on it.
+   * Cells never seen (unseen stand-ins) carry no confidence and are treated as unknowns.
+   * Cells in an unresolved contradiction are never trusted.
+   * @param {Object} cell - Cell object
+   * @returns {boolean} True if trusted
+   */
+  isTrusted(cell) {
+    if (cell.contradicted) return false;
+    return cell.confidence === undefined || cell.confidence >= config.vision.minConfidence;
+  },
+
+  /**
+   * Find visible low-confidence cells that hold back deductions: numbers, and cells
+   * next to numbers. These are worth re-capturing before acting, unless the same
+   * reading has already been re-captured `config.vision.maxRecaptures` times.
+   * @returns {Array<{row, col}>} Cells in world coordinates
+   */
+  findUncertainCells() {
+    const uncertain = new Map();
+
+    world.forEachVisibleCell((cell, row, col) => {
+      if (cell.state !== 'revealed' || !cell.value) return;
+
+      const candidates = [{ row, col, cell }, ...world.getNeighbors(row, col)];
+      for (const c of candidates) {
+        const attemptsLeft = (c.cell.recaptures || 0) < config.vision.maxRecaptures;
+        if (!this.isTrusted(c.cell) && attemptsLeft && world.isVisible(c.row, c.col)) {
+          uncertain.set(`${c.row},${c.col}`, { row: c.row, col: c.col });
+        }
+      }
+    });
+
+    return Array.from(uncertain.values());
+  },
+
+  /**
+   * Find certain moves by comparing pairs of overlapping constraints.
+   * For constraints A and B: if B's extra mines equal the number of cells only B covers,
+   * those cells are all mines and the cells only A covers are all safe.
+   * This covers the subset case (e.g. 1-2-1 and 1-2-2-1 patterns) as well.
+   * @param {Array<Object>} constraints - Constraints from buildConstraints()
+   * @returns {Array<Object>} Array of moves
+   */
+  findPairwiseMoves(constraints) {
+    const moves = [];
+
+    // Index constraints by covered cell so only overlapping pairs are compared
+    const byCell = new Map();
+    constraints.forEach((c, i) => {
+      for (const key of c.keys) {
+        if (!byCell.has(key)) byCell.set(key, []);
+        byCell.get(key).push(i);
+      }
+    });
+
+    for (let i = 0; i < constraints.length; i++) {
+      const a = constraints[i];
+      const partners = new Set();
+
+      for (const key of a.keys) {
+        for (const j of byCell.get(key)) {
+          if (j !== i) partners.add(j);
+        }
+      }
+
+      for (const j of partners) {
+        const b = constraints[j];
+        const onlyA = a.cells.filter(c => !b.keys.has(`${c.row},${c.col}`));
+        const onlyB = b.cells.filter(c => !a.keys.has(`${c.row},${c.col}`));
+
+        if (onlyA.length + onlyB.length === 0) continue;
+        if (b.mines - a.mines !== onlyB.length) continue;
+
+        const reason = `Constraints (${a.row},${a.col})=${a.mines} in ${a.cells.length} and ` +
+          `(${b.row},${b.col})=${b.mines} in ${b.cells.length}`;
+
+        for (const c of onlyA) {
+          if (c.unseen) continue;
+          moves.push({ row: c.row, col: c.col, action: 'reveal', confidence: 1.0, reason });
+        }
+        for (const c of onlyB) {
+          if (c.unseen) continue;
+          moves.push({ row: c.row, col: c.col, action: 'flag', confidence: 1.0, reason });
+        }
+      }
+    }
+
+    return moves;
+  },
+
   /**
    * Remove duplicate moves, keeping highest confidence
    * @param {Array<Object>} moves - Array of moves
@@ -96,14 +272,16 @@ const solver = {
 
   /**
    * Find best guess when no safe moves available (probability-based)
+   * @param {Function} [getProbabilities] - Returns calculateProbabilities() results
    * @returns {Object|null} Best guess move or null
    */
-  findBestGuess() {
+  findBestGuess(getProbabilities = () => this.calculateProbabilities()) {
     if (!config.solver.useAdvancedLogic) {
       return this.findRandomCovered();
     }
 
-    const probabilities = this.calculateProbabilities();
+    const probabilities = getProbabilities()
+      .filter(p => world.isVisible(p.row, p.col));
 
     if (probabilities.length === 0) {
       return this.findRandomCovered();
@@ -121,6 +299,7 @@ const solver = {
         col: best.col,
         action: 'reveal',
         confidence: 1 - best.mineProbability,
+        guess: true,
         reason: 'Probability-based guess'
       };
     }
@@ -130,61 +309,534 @@ const solver = {
   },
 
   /**
-   * Calculate mine probabilities for covered cells
-   * @returns {Array<Object>} Array of {row, col, mineProbability}
+   * Calculate mine probabilities for covered cells.
+   * Frontier cells (next to a number) get exact probabilities from enumerating every
+   * mine arrangement consistent with the visible constraints. Other cells get the
+   * configured mine density, or the exact interior probability when the total mine
+   * count is known.
+   * Includes covered cells that have scrolled off screen.
+   * @returns {Array<Object>} Array of {row, col, mineProbability, exact}
    */
   calculateProbabilities() {
     const probabilities = [];
-    const { rows, cols } = grid.gridInfo;
-
-    for (let row = 0; row < rows; row++) {
-      for (let col = 0; col < cols; col++) {
-        const cell = grid.getCell(row, col);
-
-        if (cell.state !== 'covered') continue;
-
-        // Calculate probability based on neighboring revealed cells
-        const neighbors = grid.getNeighbors(row, col);
-        const revealedNeighbors = neighbors.filter(n =>
-          n.cell.state === 'revealed' && n.cell.value > 0
-        );
-
-        if (revealedNeighbors.length === 0) {
-          // No information, assume average probability
-          probabilities.push({
-            row,
-            col,
-            mineProbability: 0.15 // Default 15% mine rate
-          });
-          continue;
+    const covered = [];
+
+    world.forEachCell((cell, row, col) => {
+      if (world.isCovered(cell)) covered.push({ row, col });
+    });
+
+    const constraints = this.buildConstraints();
+    const frontierKeys = new Set();
+    for (const c of constraints) {
+      for (const cell of c.cells) {
+        if (!cell.unseen) frontierKeys.add(`${cell.row},${cell.col}`);
+      }
+    }
+
+    const interiorCount = covered.length - frontierKeys.size;
+    const frontier = this.enumerateFrontier(constraints, interiorCount, this.getRemainingMines());
+
+    for (const { row, col } of covered) {
+      const key = `${row},${col}`;
+      const known = frontier.probabilities.has(key);
+      probabilities.push({
+        row,
+        col,
+        mineProbability: known ? frontier.probabilities.get(key) : frontier.interior,
+        exact: known ? !frontier.approximated.has(key) : frontier.interiorExact
+      });
+    }
+
+    return probabilities;
+  },
+
+  /**
+   * Compute exact probabilities for the frontier, one independent component at a time.
+   * Work is capped at `config.solver.maxIterations` search steps per frame; components
+   * left over when the budget runs out get approximate probabilities instead.
+   * `approximated` holds every cell whose probability is not exact.
+   * @param {Array<Object>} constraints - Constraints from buildConstraints()
+   * @param {number} interiorCount - Covered cells not touched by any constraint
+   * @param {number|null} remainingMines - Unflagged mines left on the board, or null if unknown
+   * @returns {Object} {probabilities: Map, approximated: Set, interior: number, interiorExact: boolean}
+   */
+  enumerateFrontier(constraints, interiorCount, remainingMines) {
+    const probabilities = new Map();
+    const approximated = new Set();
+    const solved = [];
+    let inconsistent = 0;
+    const budget = { remaining: config.solver.maxIterations };
+
+    // Solve small components first so the budget covers as many as possible
+    const components = this.splitComponents(constraints);
+    components.sort((a, b) => a.length - b.length);
+
+    for (const component of components) {
+      const signature = this.componentSignature(component);
+      let distribution = this.componentCache.get(signature);
+
+      if (!distribution && budget.remaining > 0) {
+        distribution = this.solveComponent(component, budget);
+        if (distribution) this.cacheComponent(signature, distribution);
+      }
+
+      if (distribution && !distribution.inconsistent) {
+        solved.push(distribution);
+        continue;
+      }
+      if (distribution) inconsistent++;
+
+      for (const [key, p] of this.approximateComponent(component)) {
+        probabilities.set(key, p);
+        approximated.add(key);
+      }
+    }
+
+    const unsolved = components.length - solved.length;
+    if (inconsistent > 0) {
+      log('warn', `${inconsistent} frontier components have no valid mine arrangement, approximated them`);
+    }
+    if (unsolved > inconsistent) {
+      log('warn', `Solver budget of ${config.solver.maxIterations} steps exhausted, ` +
+        `approximated ${unsolved - inconsistent}/${components.length} frontier components`);
+    }
+    log('debug', `Frontier: ${probabilities.size + solved.reduce((n, d) => n + d.keys.length, 0)} cells ` +
+      `in ${components.length} components, ${config.solver.maxIterations - budget.remaining} search steps`);
+
+    let interior = config.solver.mineDensity;
+    let interiorExact = false;
+
+    if (remainingMines === null) {
+      this.weightIndependent(solved, probabilities);
+    } else {
+      // Approximated components still hold mines; take their expected share off the total
+      let approximateMines = 0;
+      for (const key of approximated) approximateMines += probabilities.get(key);
+      const mines = Math.max(0, remainingMines - Math.round(approximateMines));
+
+      const weighted = this.weightByMineCount(solved, interiorCount, mines, probabilities);
+      if (weighted !== null) {
+        interior = weighted;
+        interiorExact = unsolved === 0;
+      } else {
+        log('warn', 'Falling back to the configured mine density for the frontier');
+        this.weightIndependent(solved, probabilities);
+      }
+
+      // Weights resting on a rounded guess of the approximated mines are not exact either
+      if (weighted === null || unsolved > 0) {
+        for (const { keys } of solved) keys.forEach(key => approximated.add(key));
+      }
+    }
+
+    return { probabilities, approximated, interior, interiorExact };
+  },
+
+  /**
+   * Turn component distributions into probabilities on an unbounded board.
+   * Cells off the frontier are independent with probability `mineDensity`, so an
+   * arrangement with k mines is weighted by (p / (1 - p))^k.
+   * @param {Array<Object>} solved - Distributions from solveComponent()
+   * @param {Map<string, number>} probabilities - Output map, filled in place
+   */
+  weightIndependent(solved, probabilities) {
+    const density = config.solver.mineDensity;
+    const ratio = density / (1 - density);
+
+    for (const { keys, counts } of solved) {
+      let totalWeight = 0;
+      const mineWeights = keys.map(() => 0);
+
+      for (const [k, entry] of counts) {
+        const weight = Math.pow(ratio, k);
+        totalWeight += weight * entry.arrangements;
+        entry.cellMines.forEach((m, v) => { mineWeights[v] += weight * m; });
+      }
+
+      keys.forEach((key, v) => probabilities.set(key, mineWeights[v] / totalWeight));
+    }
+  },
+
+  /**
+   * Turn component distributions into probabilities on a board with a known mine count.
+   * A combination of component arrangements using S mines leaves C(interior, mines - S)
+   * ways to place the rest, so that is its weight.
+   * @param {Array<Object>} solved - Distributions from solveComponent()
+   * @param {number} interiorCount - Covered cells off the frontier
+   * @param {number} mines - Mines left to place across frontier and interior
+   * @param {Map<string, number>} probabilities - Output map, filled in place
+   * @returns {number|null} Mine probability of an interior cell, or null if no arrangement fits
+   */
+  weightByMineCount(solved, interiorCount, mines, probabilities) {
+    // Arrangement counts of each component indexed by mine count
+    const dists = solved.map(({ counts }) => {
+      const dist = [];
+      for (const [k, entry] of counts) dist[k] = entry.arrangements;
+      return Array.from(dist, w => w || 0);
+    });
+
+    // Relative C(interiorCount, mines - S) for every frontier total S, scaled to avoid overflow
+    const logWeights = [];
+    for (let total = 0; total <= mines; total++) {
+      const rest = mines - total;
+      logWeights[total] = rest <= interiorCount ? this.logChoose(interiorCount, rest) : -Infinity;
+    }
+    const maxLog = Math.max(...logWeights);
+    if (maxLog === -Infinity) {
+      log('warn', `Mine count ${mines} does not fit the covered cells`);
+      return null;
+    }
+    const interiorWeight = logWeights.map(l => Math.exp(l - maxLog));
+    const weightAt = (total) => total < interiorWeight.length ? interiorWeight[total] : 0;
+
+    const all = dists.reduce((acc, dist) => this.convolve(acc, dist), [1]);
+    let totalWeight = 0;
+    let interiorMines = 0;
+    all.forEach((w, total) => {
+      totalWeight += w * weightAt(total);
+      interiorMines += w * weightAt(total) * (mines - total);
+    });
+
+    if (totalWeight === 0) {
+      log('warn', `No frontier arrangement is consistent with ${mines} remaining mines`);
+      return null;
+    }
+
+    solved.forEach(({ keys, counts }, c) => {
+      const others = dists.reduce((acc, dist, i) => i === c ? acc : this.convolve(acc, dist), [1]);
+      const mineWeights = keys.map(() => 0);
+
+      for (const [k, entry] of counts) {
+        let weight = 0;
+        others.forEach((w, s) => { weight += w * weightAt(k + s); });
+        entry.cellMines.forEach((m, v) => { mineWeights[v] += weight * m; });
+      }
+
+      keys.forEach((key, v) => probabilities.set(key, mineWeights[v] / totalWeight));
+    });
+
+    return interiorCount > 0 ? interiorMines / totalWeight / interiorCount : 0;
+  },
+
+  /**
+   * Convolve two distributions indexed by mine count
+   * @param {Array<number>} a - First distribution
+   * @param {Array<number>} b - Second distribution
+   * @returns {Array<number>} Distribution of the combined mine count
+   */
+  convolve(a, b) {
+    const result = new Array(a.length + b.length - 1).fill(0);
+    a.forEach((wa, i) => {
+      if (wa === 0) return;
+      b.forEach((wb, j) => { result[i + j] += wa * wb; });
+    });
+    return result;
+  },
+
+  /**
+   * Natural log of the binomial coefficient C(n, k)
+   * @param {number} n - Set size
+   * @param {number} k - Subset size
+   * @returns {number} log C(n, k), or -Infinity if k is out of range
+   */
+  logChoose(n, k) {
+    if (k < 0 || k > n) return -Infinity;
+    k = Math.min(k, n - k);
+    let result = 0;
+    for (let i = 1; i <= k; i++) {
+      result += Math.log((n - k + i) / i);
+    }
+    return result;
+  },
+
+  /**
+   * Split constraints into connected components that share no covered cells
+   * @param {Array<Object>} constraints - Constraints from buildConstraints()
+   * @returns {Array<Array<Object>>} Array of constraint groups
+   */
+  splitComponents(constraints) {
+    const parent = constraints.map((c, i) => i);
+    const find = (i) => {
+      while (parent[i] !== i) {
+        parent[i] = parent[parent[i]];
+        i = parent[i];
+      }
+      return i;
+    };
+
+    // Union constraints through the cells they share
+    const owner = new Map();
+    constraints.forEach((c, i) => {
+      for (const key of c.keys) {
+        if (owner.has(key)) {
+          parent[find(i)] = find(owner.get(key));
+        } else {
+          owner.set(key, i);
         }
+      }
+    });
+
+    const groups = new Map();
+    constraints.forEach((c, i) => {
+      const root = find(i);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(c);
+    });
 
-        // Simple heuristic: average the local mine density
-        let totalProbability = 0;
+    return Array.from(groups.values());
+  },
 
-        for (const n of revealedNeighbors) {
-          const neighborCell = n.cell;
-          const neighborNeighbors = grid.getNeighbors(n.row, n.col);
-          const coveredCount = neighborNeighbors.filter(nn => nn.cell.state === 'covered').length;
-          const flaggedCount = neighborNeighbors.filter(nn => nn.cell.state === 'flag').length;
-          const remainingMines = neighborCell.value - flaggedCount;
+  /**
+   * Build a cache key that identifies a component by its cells and mine counts
+   * @param {Array<Object>} component - Constraints in one component
+   * @returns {string} Signature
+   */
+  componentSignature(component) {
+    return component
+      .map(c => `${c.mines}:${Array.from(c.keys).sort().join(';')}`)
+      .sort()
+      .join('|');
+  },
+
+  /**
+   * Store a solved component, dropping the oldest entries when the cache is full
+   * @param {string} signature - Component signature
+   * @param {Object} distribution - Distribution from solveComponent()
+   */
+  cacheComponent(signature, distribution) {
+    if (this.componentCache.size >= this.maxCachedComponents) {
+      const oldest = this.componentCache.keys().next().value;
+      this.componentCache.delete(oldest);
+    }
+    this.componentCache.set(signature, distribution);
+  },
 
-          if (coveredCount > 0) {
-            totalProbability += remainingMines / coveredCount;
-          }
+  /**
+   * Enumerate every mine arrangement of one component that satisfies its constraints,
+   * grouped by how many mines the arrangement uses
+   * @param {Array<Object>} constraints - Constraints in one component
+   * @param {Object} budget - Shared {remaining} search step budget, decremented in place
+   * @returns {Object|null} {keys, counts: Map<mines, {arrangements, cellMines}>, inconsistent},
+   *   or null if over budget. `inconsistent` is true (and counts empty) when no arrangement fits.
+   */
+  solveComponent(constraints, budget) {
+    // Number the frontier cells in constraint order so neighbors are assigned together
+    const keys = [];
+    const index = new Map();
+    for (const c of constraints) {
+      for (const key of c.keys) {
+        if (!index.has(key)) {
+          index.set(key, keys.length);
+          keys.push(key);
         }
+      }
+    }
 
-        const avgProbability = totalProbability / revealedNeighbors.length;
+    // Constraints touching each cell, with running counts for pruning
+    const cellConstraints = keys.map(() => []);
+    const placed = constraints.map(() => 0);
+    const unassigned = constraints.map(c => c.keys.size);
+    constraints.forEach((c, ci) => {
+      for (const key of c.keys) cellConstraints[index.get(key)].push(ci);
+    });
+
+    const assignment = keys.map(() => 0);
+    const counts = new Map();
+    let exhausted = false;
+
+    const search = (i, mineCount) => {
+      if (exhausted) return;
+      if (--budget.remaining < 0) {
+        exhausted = true;
+        return;
+      }
 
-        probabilities.push({
-          row,
-          col,
-          mineProbability: Math.min(1.0, Math.max(0.0, avgProbability))
+      if (i === keys.length) {
+        if (!counts.has(mineCount)) {
+          counts.set(mineCount, { arrangements: 0, cellMines: keys.map(() => 0) });
+        }
+        const entry = counts.get(mineCount);
+        entry.arrangements++;
+        for (let v = 0; v < keys.length; v++) {
+          if (assignment[v]) entry.cellMines[v]++;
+        }
+        return;
+      }
+
+      for (const value of [0, 1]) {
+        let valid = true;
+        for (const ci of cellConstraints[i]) {
+          placed[ci] += value;
+          unassigned[ci]--;
+          const need = constraints[ci].mines;
+          if (placed[ci] > need || placed[ci] + unassigned[ci] < need) valid = false;
+        }
+
+        if (valid) {
+          assignment[i] = value;
+          search(i + 1, mineCount + value);
+        }
+
+        for (const ci of cellConstraints[i]) {
+          placed[ci] -= value;
+          unassigned[ci]++;
+        }
+      }
+      assignment[i] = 0;
+    };
+
+    search(0, 0);
+
+    if (exhausted) return null;
+
+    if (counts.size === 0) {
+      log('warn', 'Frontier constraints are inconsistent, no valid mine arrangement');
+      return { keys, counts, inconsistent: true };
+    }
+
+    return { keys, counts, inconsistent: false };
+  },
+
+  /**
+   * Find frontier components already proven to have no valid mine arrangement.
+   * Only cached results are used, so this is cheap enough for every frame.
+   * @returns {Array<Array<Object>>} Components (lists of constraints)
+   */
+  findInconsistentComponents() {
+    return this.splitComponents(this.buildConstraints()).filter(component => {
+      const distribution = this.componentCache.get(this.componentSignature(component));
+      return Boolean(distribution && distribution.inconsistent);
+    });
+  },
+
+  /**
+   * Approximate probabilities for a component by averaging the local mine density
+   * of every constraint that touches each cell
+   * @param {Array<Object>} constraints - Constraints in one component
+   * @returns {Map<string, number>} Mine probability keyed by "row,col"
+   */
+  approximateComponent(constraints) {
+    const sums = new Map();
+
+    for (const c of constraints) {
+      const density = c.mines / c.keys.size;
+      for (const key of c.keys) {
+        const entry = sums.get(key) || { total: 0, count: 0 };
+        entry.total += density;
+        entry.count++;
+        sums.set(key, entry);
+      }
+    }
+
+    const result = new Map();
+    for (const [key, entry] of sums) {
+      result.set(key, Math.min(1.0, Math.max(0.0, entry.total / entry.count)));
+    }
+    return result;
+  },
+
+  /**
+   * Find certain moves from the global mine count once only a few mines are left.
+   * Cells whose exact probability is 0 or 1 across every consistent arrangement are certain.
+   * @param {Function} [getProbabilities] - Returns calculateProbabilities() results, so a
+   *   caller can share one calculation
+   * @returns {Array<Object>} Array of moves
+   */
+  findEndgameMoves(getProbabilities = () => this.calculateProbabilities()) {
+    const remaining = this.getRemainingMines();
+    if (remaining === null || remaining > config.solver.endgameMines) {
+      return [];
+    }
+
+    // Whole-board deductions are only as good as every number on the board
+    if (!this.buildConstraints().every(c => c.trusted)) {
+      log('debug', 'Skipping endgame deductions: some cells are low confidence');
+      return [];
+    }
+
+    const moves = [];
+    for (const p of getProbabilities()) {
+      if (!p.exact || !world.isVisible(p.row, p.col)) continue;
+
+      if (p.mineProbability === 0) {
+        moves.push({
+          row: p.row,
+          col: p.col,
+          action: 'reveal',
+          confidence: 1.0,
+          reason: `Safe in every arrangement with ${remaining} mines left`
+        });
+      } else if (p.mineProbability > 1 - 1e-9) {
+        moves.push({
+          row: p.row,
+          col: p.col,
+          action: 'flag',
+          confidence: 1.0,
+          reason: `Mine in every arrangement with ${remaining} mines left`
         });
       }
     }
 
-    return probabilities;
+    if (moves.length > 0) {
+      log('info', `Found ${moves.length} endgame moves from mine count`);
+    }
+    return moves;
+  },
+
+  /**
+   * Get the total mine count of a finite board, from the config or else the game's
+   * mine counter
+   * @returns {number|null} Total mines, or null if unknown (infinite board)
+   */
+  getTotalMines() {
+    if (config.solver.totalMines !== null) return config.solver.totalMines;
+    return config.hud.useMineCounter ? hud.impliedTotal : null;
+  },
+
+  /**
+   * Get the number of mines not yet flagged or remembered
+   * @returns {number|null} Remaining mines, or null if the total is unknown
+   */
+  getRemainingMines() {
+    const total = this.getTotalMines();
+    if (total === null || total === undefined) return null;
+
+    const stats = world.getStats();
+    return Math.max(0, total - stats.flags - stats.knownMines);
+  },
+
+  /**
+   * Flagless play: remember the certain mines among some moves instead of flagging them
+   * @param {Array<Object>} moves - Moves from findSafeMoves() or findEndgameMoves()
+   * @returns {number} Mines newly remembered
+   */
+  markKnownMines(moves) {
+    let marked = 0;
+    for (const m of moves) {
+      if (m.action === 'flag' && !m.forChord && world.markMine(m.row, m.col)) marked++;
+    }
+
+    if (marked > 0) {
+      log('info', `Remembered ${marked} mines without flagging`);
+    }
+    return marked;
+  },
+
+  /**
+   * Flagless play: remember the mines among some moves and keep the rest, plus flags a
+   * chord needs. New marks can unlock deductions, so if nothing is left to play the
+   * safe moves are looked for once more.
+   * @param {Array<Object>} moves - Moves from findSafeMoves() or findEndgameMoves()
+   * @returns {Array<Object>} Moves to play
+   */
+  withoutFlags(moves) {
+    const playable = m => m.action !== 'flag' || m.forChord;
+
+    if (this.markKnownMines(moves) > 0 && !moves.some(playable)) {
+      moves = this.findSafeMoves();
+      this.markKnownMines(moves);
+    }
+    return moves.filter(playable);
   },
 
   /**
@@ -192,17 +844,13 @@ const solver = {
    * @returns {Object|null} Random move or null
    */
   findRandomCovered() {
-    const { rows, cols } = grid.gridInfo;
     const covered = [];
 
-    for (let row = 0; row < rows; row++) {
-      for (let col = 0; col < cols; col++) {
-        const cell = grid.getCell(row, col);
-        if (cell.state === 'covered') {
-          covered.push({ row, col });
-        }
+    world.forEachCell((cell, row, col) => {
+      if (world.isCovered(cell) && world.isVisible(row, col)) {
+        covered.push({ row, col });
       }
-    }
+    });
 
     if (covered.length === 0) {
       return null;
@@ -215,6 +863,7 @@ const solver = {
       ...random,
       action: 'reveal',
       confidence: 0.5,
+      guess: true,
       reason: 'Random guess'
     };
   },
@@ -225,18 +874,29 @@ const solver = {
    */
   getNextMove() {
     // First, try to find guaranteed safe moves
-    const safeMoves = this.findSafeMoves();
+    let safeMoves = this.findSafeMoves();
+
+    // In flagless play, certain mines are remembered rather than tapped
+    if (config.solver.flagless) {
+      safeMoves = this.withoutFlags(safeMoves);
+    }
 
     if (safeMoves.length > 0) {
       // Prioritize reveals over flags
       const reveals = safeMoves.filter(m => m.action === 'reveal');
       const flags = safeMoves.filter(m => m.action === 'flag');
+      const chords = safeMoves.filter(m => m.action === 'chord');
 
       // Flag obvious mines first if configured
-      if (config.solver.flagObviousMines && flags.length > 0) {
+      if ((config.solver.flagObviousMines || config.solver.flagless) && flags.length > 0) {
         return flags[0];
       }
 
+      // One chord opens several cells; take the biggest
+      if (chords.length > 0) {
+        return chords.reduce((best, m) => (m.cells.length > best.cells.length ? m : best));
+      }
+
       // Otherwise reveal safe cells
       if (reveals.length > 0) {
         return reveals[0];
@@ -245,8 +905,21 @@ const solver = {
       return safeMoves[0];
     }
 
+    // The endgame and the guess share one probability pass, and so one search budget
+    let probabilities = null;
+    const getProbabilities = () => probabilities || (probabilities = this.calculateProbabilities());
+
+    // With a known mine count, exact probabilities can settle the endgame
+    let endgameMoves = this.findEndgameMoves(getProbabilities);
+    if (config.solver.flagless) {
+      endgameMoves = this.withoutFlags(endgameMoves);
+    }
+    if (endgameMoves.length > 0) {
+      return endgameMoves[0];
+    }
+
     // No safe moves, try educated guess
-    return this.findBestGuess();
+    return this.findBestGuess(getProbabilities);
   },
 
   /**
@@ -279,19 +952,21 @@ const solver = {
    * @returns {boolean} True if solved
    */
   isSolved() {
-    const { rows, cols } = grid.gridInfo;
-
-    for (let row = 0; row < rows; row++) {
-      for (let col = 0; col < cols; col++) {
-        const cell = grid.getCell(row, col);
-        // If there are covered cells that aren't flagged, not solved
-        if (cell.state === 'covered') {
-          return false;
-        }
-      }
+    // With a known mine count, the board is solved once only mines stay covered
+    const remaining = this.getRemainingMines();
+    if (remaining !== null) {
+      return world.getStats().covered === remaining;
     }
 
-    return true;
+    // Otherwise the visible area is solved when it has no covered cells left
+    let solved = true;
+    world.forEachCell((cell, row, col) => {
+      if (world.isCovered(cell) && world.isVisible(row, col)) {
+        solved = false;
+      }
+    });
+
+    return solved;
   }
 };
 
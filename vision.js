@@ -4,9 +4,16 @@
  */
 
 const config = require('./config.js');
+const digits = require('./digits.js');
 const { log } = require('./debug.js');
 
 const vision = {
+  // Pixel buffer reused across frames (see readFrame)
+  frameBuffer: null,
+
+  // Frame currently held in the buffer, so reading the same image again is free
+  frame: null,
+
   /**
    * Request screen capture permission (call once at start)
    */
@@ -24,6 +31,7 @@ const vision = {
    * @returns {Image} Captured image
    */
   captureScreen() {
+    this.frame = null;
     const img = captureScreen();
     if (!img) {
       log('error', 'Failed to capture screen');
@@ -32,6 +40,61 @@ const vision = {
     return img;
   },
 
+  /**
+   * Capture a frame once the game area has stopped changing.
+   * Consecutive captures are compared until they match (reveal animations, flood-fill
+   * cascades and scroll inertia have settled) or the timeout runs out.
+   * A short settle delay comes first: right after a tap, two captures can match
+   * simply because the game hasn't started drawing the change yet.
+   * @returns {Image|null} Settled captured image, or null if capture failed
+   */
+  captureStable() {
+    const { interval, timeout, sampleStep, minSettle } = config.stability;
+    const startTime = Date.now();
+    let previous = null;
+
+    if (minSettle > 0) sleep(minSettle);
+
+    while (true) {
+      const img = this.captureScreen();
+      if (!img) return null;
+
+      const sample = this.sampleBrightness(this.readFrame(img), sampleStep);
+      const elapsed = Date.now() - startTime;
+
+      if (previous && this.isSameFrame(previous, sample)) {
+        log('debug', `Frame stable after ${elapsed}ms`);
+        return img;
+      }
+
+      if (elapsed >= timeout) {
+        log('warn', `Frame still changing after ${elapsed}ms, using latest capture`);
+        return img;
+      }
+
+      previous = sample;
+      images.recycle(img);
+      sleep(interval);
+    }
+  },
+
+  /**
+   * Check whether two brightness samples show the same frame
+   * @param {Object} a - sampleBrightness() result
+   * @param {Object} b - sampleBrightness() result of the same size
+   * @returns {boolean} True if at most `maxChangedShare` of the samples changed
+   */
+  isSameFrame(a, b) {
+    const { pixelTolerance, maxChangedShare } = config.stability;
+    let changed = 0;
+
+    for (let i = 0; i < a.data.length; i++) {
+      if (Math.abs(a.data[i] - b.data[i]) > pixelTolerance) changed++;
+    }
+
+    return changed <= a.data.length * maxChangedShare;
+  },
+
   /**
    * Get pixel color at specific coordinate
    * @param {Image} img - Captured image
@@ -43,6 +106,63 @@ const vision = {
     return images.pixel(img, x, y);
   },
 
+  /**
+   * Copy a captured image into one pixel buffer so cells can be classified with plain
+   * array reads instead of per-pixel API calls and clipping.
+   * The buffer is reused, so a frame is only valid until the next readFrame() call
+   * with another image. Reading the image already in the buffer (the one captureStable()
+   * returned, say) doesn't copy the pixels again, so the scan, HUD, color refinement
+   * and game-end checks all share one copy per frame.
+   * @param {Image} img - Captured image
+   * @returns {Object} {width, height, pixels, img} with pixels as ARGB ints, row-major
+   */
+  readFrame(img) {
+    if (this.frame && this.frame.img === img) return this.frame;
+
+    const width = img.getWidth();
+    const height = img.getHeight();
+
+    if (!this.frameBuffer || this.frameBuffer.length !== width * height) {
+      this.frameBuffer = util.java.array('int', width * height);
+    }
+    img.getBitmap().getPixels(this.frameBuffer, 0, width, 0, 0, width, height);
+
+    this.frame = { width, height, pixels: this.frameBuffer, img };
+    return this.frame;
+  },
+
+  /**
+   * Get pixel color from a frame buffer
+   * @param {Object} frame - Frame from readFrame()
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {number} Color as integer
+   */
+  framePixel(frame, x, y) {
+    return frame.pixels[y * frame.width + x];
+  },
+
+  /**
+   * Get the square region of a cell, clamped to the frame
+   * @param {Object} frame - Frame from readFrame()
+   * @param {number} x - Cell center x
+   * @param {number} y - Cell center y
+   * @returns {Object} {left, top, width, height}
+   */
+  cellRegion(frame, x, y) {
+    const cellSize = config.cellSize || 80;
+    const halfSize = Math.floor(cellSize / 2);
+
+    const left = Math.max(0, x - halfSize);
+    const top = Math.max(0, y - halfSize);
+    return {
+      left,
+      top,
+      width: Math.min(cellSize, frame.width - left),
+      height: Math.min(cellSize, frame.height - top)
+    };
+  },
+
   /**
    * Compare two colors within threshold
    * @param {number} color1 - First color (integer)
@@ -51,6 +171,17 @@ const vision = {
    * @returns {boolean} True if colors match
    */
   colorsMatch(color1, color2, threshold = 30) {
+    return this.colorMatchConfidence(color1, color2, threshold) !== null;
+  },
+
+  /**
+   * Measure how well two colors match relative to the threshold
+   * @param {number} color1 - First color (integer)
+   * @param {number} color2 - Second color (integer or hex string)
+   * @param {number} threshold - Tolerance (0-255)
+   * @returns {number|null} 1.0 for identical colors down to 0.5 at the threshold, null if no match
+   */
+  colorMatchConfidence(color1, color2, threshold = 30) {
     // Convert hex string to integer if needed
     if (typeof color2 === 'string') {
       color2 = colors.parseColor(color2);
@@ -65,32 +196,38 @@ const vision = {
     const b2 = colors.blue(color2);
 
     const diff = Math.abs(r1 - r2) + Math.abs(g1 - g2) + Math.abs(b1 - b2);
-    return diff <= threshold * 3;
+    const limit = threshold * 3;
+    return diff <= limit ? 1 - diff / (2 * limit) : null;
   },
 
   /**
    * Detect cell state from color and pattern
-   * @param {Image} img - Captured image
+   * @param {Object} frame - Frame from readFrame()
    * @param {number} x - Cell center x coordinate
    * @param {number} y - Cell center y coordinate
-   * @returns {string|number} Cell state: "covered", "revealed", "flag", "mine", or number 0-8
+   * @returns {Object} {state, value, confidence}: state is "covered", "revealed", "flag" or "mine",
+   *   value is the number 0-8 for revealed cells, confidence is 0-1
    */
-  detectCellState(img, x, y) {
-    const color = this.getPixelColor(img, x, y);
+  detectCellState(frame, x, y) {
+    const color = this.framePixel(frame, x, y);
+    const { colors: palette } = config;
 
     // Check for flag
-    if (this.colorsMatch(color, config.colors.flag, config.colors.flagThreshold)) {
-      return 'flag';
+    const flag = this.colorMatchConfidence(color, palette.flag, palette.flagThreshold);
+    if (flag !== null) {
+      return { state: 'flag', value: null, confidence: flag };
     }
 
     // Check for mine (usually after game over)
-    if (this.colorsMatch(color, config.colors.mine, config.colors.mineThreshold)) {
-      return 'mine';
+    const mine = this.colorMatchConfidence(color, palette.mine, palette.mineThreshold);
+    if (mine !== null) {
+      return { state: 'mine', value: null, confidence: mine };
     }
 
     // Check for covered cell (gray)
-    if (this.colorsMatch(color, config.colors.covered, config.colors.coveredThreshold)) {
-      return 'covered';
+    const covered = this.colorMatchConfidence(color, palette.covered, palette.coveredThreshold);
+    if (covered !== null) {
+      return { state: 'covered', value: null, confidence: covered };
     }
 
     // Check if revealed (blue background)
@@ -100,65 +237,145 @@ const vision = {
 
     // Blue revealed cell detection: blue is dominant
     const isBlueish = (b > 150 && r > 80 && r < 220 && g > 80 && g < 220);
+    const revealed = this.colorMatchConfidence(color, palette.revealed, palette.revealedThreshold);
 
-    if (isBlueish || this.colorsMatch(color, config.colors.revealed, config.colors.revealedThreshold)) {
+    if (isBlueish || revealed !== null) {
       // Cell is revealed - now detect the number
-      // Count white pixels in a small region around center (numbers are white text)
-      const number = this.detectNumberInCell(img, x, y);
-      return number; // Returns 0-8
+      const digit = this.detectNumberInCell(frame, x, y);
+
+      // The blue heuristic alone is weaker evidence than matching the sampled color
+      const colorConfidence = revealed !== null ? revealed : config.vision.heuristicConfidence;
+      return { state: 'revealed', value: digit.digit, confidence: Math.min(colorConfidence, digit.score),
+        learnGlyph: digit.learnGlyph || null };
     }
 
-    // Default: assume covered if unclear
+    // Default: assume covered if unclear, but with no confidence so nothing relies on it
     log('debug', `Unknown cell state at (${x}, ${y}), color: RGB(${r},${g},${b})`);
-    return 'covered';
+    return { state: 'covered', value: null, confidence: 0 };
   },
 
   /**
-   * Detect number in a revealed cell using OCR or pattern matching
-   * @param {Image} img - Captured image
+   * Check whether a color is one that board cells are drawn in.
+   * Anything else over the game area is usually a dialog or a dimming overlay.
+   * @param {number} color - Color as integer
+   * @returns {boolean} True if the color matches a known cell color
+   */
+  isBoardColor(color) {
+    const { colors: palette } = config;
+
+    for (const state of ['covered', 'revealed', 'flag', 'mine']) {
+      if (this.colorsMatch(color, palette[state], palette[`${state}Threshold`])) return true;
+    }
+
+    // Same blue-background heuristic as detectCellState()
+    const r = colors.red(color);
+    const g = colors.green(color);
+    const b = colors.blue(color);
+    return b > 150 && r > 80 && r < 220 && g > 80 && g < 220;
+  },
+
+  /**
+   * Detect number in a revealed cell by shape (OCR, learned templates, pattern matching),
+   * by digit color, or both, depending on `config.digits.mode`.
+   * When color and shape disagree, the more confident reading wins, with the margin
+   * between the two as its score. When a confident color read agrees with the shape
+   * read, the glyph is worth learning as a template too.
+   * @param {Object} frame - Frame from readFrame()
    * @param {number} x - Cell center x
    * @param {number} y - Cell center y
-   * @returns {number} Number 0-8 (0 = empty, 1-8 = mine count)
+   * @returns {Object} {digit, score, learnGlyph}: number 0-8 (0 = empty, 1-8 = mine count),
+   *   confidence 0-1, and the glyph to learn if the read is confident (else null)
    */
-  detectNumberInCell(img, x, y) {
-    const cellSize = config.cellSize || 80;
-    const halfSize = Math.floor(cellSize / 2);
+  detectNumberInCell(frame, x, y) {
+    const region = this.cellRegion(frame, x, y);
+    const mode = config.digits.mode;
+    const glyph = digits.extractGlyph(frame, region);
+    const learnable = config.digits.useTemplates;
+
+    const byColor = mode !== 'shape' ? digits.classifyByColor(glyph) : null;
+    const colorSure = Boolean(byColor) && byColor.score >= config.digits.learnThreshold;
+    if (mode === 'color' && byColor) {
+      return byColor;
+    }
 
-    // Extract cell region
-    const cellImg = images.clip(img, x - halfSize, y - halfSize, cellSize, cellSize);
+    const byShape = this.readDigitShape(frame, region, glyph, colorSure);
+    if (!byColor) {
+      return byShape;
+    }
+    if (byColor.digit === byShape.digit) {
+      const learnGlyph = byShape.learnGlyph || (learnable && colorSure ? glyph : null);
+      return { digit: byShape.digit, score: Math.max(byColor.score, byShape.score), learnGlyph };
+    }
+
+    log('debug', `Digit at (${x}, ${y}): color says ${byColor.digit} (${byColor.score.toFixed(2)}), ` +
+      `${byShape.source} says ${byShape.digit} (${byShape.score.toFixed(2)})`);
+    const winner = byColor.score >= byShape.score ? byColor : byShape;
+    return { digit: winner.digit, score: Math.abs(byColor.score - byShape.score) };
+  },
+
+  /**
+   * Read a digit from its shape using learned templates, OCR or pattern matching.
+   * OCR is the only path that needs a clipped image, so it only runs on cells that
+   * neither the templates nor the digit color read confidently.
+   * Confident reads (OCR, strong template matches) return their glyph to be learned;
+   * grid.scanCell() learns it once, when the cell first reads that way.
+   * @param {Object} frame - Frame from readFrame()
+   * @param {Object} region - Cell region from cellRegion()
+   * @param {Object} glyph - digits.extractGlyph() result
+   * @param {boolean} colorSure - True if the digit color already gave a confident read
+   * @returns {Object} {digit, score, source, learnGlyph}
+   */
+  readDigitShape(frame, region, glyph, colorSure = false) {
+    // An empty cell needs no reading at all
+    if (glyph.ink < config.digits.minForeground) {
+      return { digit: 0, score: 1.0, source: 'empty', learnGlyph: null };
+    }
+
+    // Compare against templates learned in earlier reads
+    const match = config.digits.useTemplates ? digits.classify(glyph) : null;
+    if (match && match.score >= config.digits.learnThreshold) {
+      return { digit: match.digit, score: match.score, source: 'template', learnGlyph: glyph };
+    }
 
     // Try AutoX.js built-in OCR if available
-    if (typeof paddle !== 'undefined' && paddle.ocrText) {
+    if (!colorSure && typeof paddle !== 'undefined' && paddle.ocrText) {
+      const cellImg = images.clip(frame.img, region.left, region.top, region.width, region.height);
       try {
         const text = paddle.ocrText(cellImg);
-        images.recycle(cellImg);
 
         // Parse single digit
         const digit = parseInt(text.trim());
         if (!isNaN(digit) && digit >= 0 && digit <= 8) {
-          return digit;
+          const learnGlyph = config.digits.useTemplates ? glyph : null;
+          return { digit, score: 0.9, source: 'OCR', learnGlyph };
         }
       } catch (e) {
         log('debug', `OCR failed: ${e.message}`);
+      } finally {
+        images.recycle(cellImg);
       }
     }
 
+    if (match) {
+      return { digit: match.digit, score: match.score, source: 'template', learnGlyph: null };
+    }
+
     // Fallback: Advanced pattern-based detection
-    const number = this.detectNumberByPattern(cellImg, x, y);
-    images.recycle(cellImg);
-    return number;
+    return {
+      digit: this.detectNumberByPattern(frame, region),
+      score: config.digits.patternScore,
+      source: 'pattern'
+    };
   },
 
   /**
    * Detect number by analyzing white pixel patterns
-   * @param {Image} cellImg - Clipped cell image
-   * @param {number} centerX - Original center X
-   * @param {number} centerY - Original center Y
+   * @param {Object} frame - Frame from readFrame()
+   * @param {Object} region - Cell region from cellRegion()
    * @returns {number} Detected number 0-8
    */
-  detectNumberByPattern(cellImg, centerX, centerY) {
-    const width = cellImg.getWidth();
-    const height = cellImg.getHeight();
+  detectNumberByPattern(frame, region) {
+    const { width, height } = region;
 
     // Analyze white pixel distribution in different regions
     const centerX_local = Math.floor(width / 2);
@@ -175,11 +392,13 @@ const vision = {
     let totalWhite = 0;
 
     for (let y = 0; y < height; y += 2) {
+      const rowStart = (region.top + y) * frame.width + region.left;
       for (let x = 0; x < width; x += 2) {
-        const color = images.pixel(cellImg, x, y);
-        const r = colors.red(color);
-        const g = colors.green(color);
-        const b = colors.blue(color);
+        // Unpack ARGB directly; this loop runs for every revealed cell
+        const color = frame.pixels[rowStart + x];
+        const r = (color >> 16) & 0xff;
+        const g = (color >> 8) & 0xff;
+        const b = color & 0xff;
 
         // White text detection (high RGB, not blue background)
         const isWhite = (r > 200 && g > 200 && b > 200);
@@ -359,6 +578,103 @@ const vision = {
     return { horizontalLines, verticalLines };
   },
 
+  /**
+   * Downsample the game area to a grid of brightness values for frame comparison
+   * @param {Object} frame - Frame from readFrame()
+   * @param {number} step - Sample spacing in pixels
+   * @returns {Object} {width, height, step, data} with data as a flat row-major array
+   */
+  sampleBrightness(frame, step = config.scroll.registrationStep) {
+    const { gameArea } = config;
+    const width = Math.floor((gameArea.right - gameArea.left) / step);
+    const height = Math.floor((gameArea.bottom - gameArea.top) / step);
+    const data = new Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const color = this.framePixel(frame, gameArea.left + x * step, gameArea.top + y * step);
+        data[y * width + x] = (((color >> 16) & 0xff) + ((color >> 8) & 0xff) + (color & 0xff)) / 3;
+      }
+    }
+
+    return { width, height, step, data };
+  },
+
+  /**
+   * Measure how far the board content moved between two frames by image registration.
+   * Tries every shift along the scroll axis (and one sample either side across it) and
+   * keeps the one with the lowest mean brightness difference over the overlap.
+   * @param {Object} before - sampleBrightness() of the frame before the swipe
+   * @param {Object} after - sampleBrightness() of the frame after the swipe
+   * @param {string} direction - Scroll direction passed to actions.scroll()
+   * @param {number} distance - Swipe distance in pixels
+   * @param {number} cellSize - Detected cell size in pixels (grid.gridInfo.cellSize)
+   * @returns {Object|null} {dx, dy, cellsX, cellsY, score} content movement, or null if no good match
+   */
+  measureScrollOffset(before, after, direction, distance, cellSize) {
+    const { width, height, step } = before;
+    const vertical = direction === 'up' || direction === 'down';
+
+    // Content moves against the swipe: scrolling down pushes the board up
+    const sign = (direction === 'down' || direction === 'right') ? -1 : 1;
+    const maxShift = Math.ceil(distance * 1.5 / step);
+    const expected = distance / step;
+
+    // Mean absolute difference between before(x, y) and after(x + sx, y + sy)
+    const scoreAt = (sx, sy) => {
+      let total = 0;
+      let count = 0;
+      for (let y = Math.max(0, -sy); y < Math.min(height, height - sy); y++) {
+        const rowBefore = y * width;
+        const rowAfter = (y + sy) * width;
+        for (let x = Math.max(0, -sx); x < Math.min(width, width - sx); x++) {
+          total += Math.abs(before.data[rowBefore + x] - after.data[rowAfter + x + sx]);
+          count++;
+        }
+      }
+      // Require a quarter of the frame to overlap so tiny slivers can't win
+      return count >= width * height / 4 ? total / count : Infinity;
+    };
+
+    const scores = [];
+    for (let along = -2; along <= maxShift; along++) {
+      for (let across = -1; across <= 1; across++) {
+        const sx = vertical ? across : sign * along;
+        const sy = vertical ? sign * along : across;
+        scores.push({ along, across, sx, sy, score: scoreAt(sx, sy) });
+      }
+    }
+
+    const minScore = Math.min(...scores.map(s => s.score));
+    if (!isFinite(minScore) || minScore > config.scroll.maxRegistrationError) {
+      log('warn', `Scroll registration failed (best error ${minScore.toFixed(1)})`);
+      return null;
+    }
+
+    // A repeating grid matches at several whole-cell shifts; prefer the one nearest the swipe
+    const best = scores
+      .filter(s => s.score <= minScore * 1.02 + 0.5)
+      .sort((a, b) => Math.abs(a.along - expected) - Math.abs(b.along - expected))[0];
+
+    // Refine along the scroll axis with a parabola through the neighboring scores
+    let along = best.along;
+    const prev = scores.find(s => s.along === best.along - 1 && s.across === best.across);
+    const next = scores.find(s => s.along === best.along + 1 && s.across === best.across);
+    if (prev && next && isFinite(prev.score) && isFinite(next.score)) {
+      const curvature = prev.score - 2 * best.score + next.score;
+      if (curvature > 0) {
+        along += Math.max(-0.5, Math.min(0.5, (prev.score - next.score) / (2 * curvature)));
+      }
+    }
+
+    const dx = Math.round((vertical ? best.across : sign * along) * step);
+    const dy = Math.round((vertical ? sign * along : best.across) * step);
+
+    log('debug', `Scroll registration: content moved (${dx}, ${dy})px, error ${best.score.toFixed(1)}`);
+
+    return { dx, dy, cellsX: dx / cellSize, cellsY: dy / cellSize, score: best.score };
+  },
+
   /**
    * Use OCR to recognize numbers in cells (optional, requires OCR plugin)
    * @param {Image} img - Captured image
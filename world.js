@@ -0,0 +1,305 @@
+/**
+ * World Map Module
+ * Persistent board model in absolute coordinates that survives scrolling
+ */
+
+const config = require('./config.js');
+const { log } = require('./debug.js');
+
+const world = {
+  // Every cell seen so far, keyed by "row,col" in world coordinates
+  cells: new Map(),
+
+  // Numbers with at least one undecided neighbor (covered or never seen), keyed like
+  // `cells`. Kept up to date as cells change, so the solver never walks the whole map.
+  frontier: new Map(),
+
+  // World coordinates of screen cell (0, 0)
+  origin: { row: 0, col: 0 },
+
+  // Size of the visible window in cells
+  view: { rows: 0, cols: 0 },
+
+  // Stand-in for neighbors that have never been on screen
+  unseenCell: { state: 'offscreen', value: null },
+
+  /**
+   * Clear the map and put the screen back at the world origin
+   */
+  reset() {
+    this.cells = new Map();
+    this.frontier = new Map();
+    this.origin = { row: 0, col: 0 };
+    this.view = { rows: 0, cols: 0 };
+    log('info', 'World map reset');
+  },
+
+  /**
+   * Merge the current screen into the world map at the current scroll offset
+   * @param {Array<Array<Object>>} screenCells - grid.cells from the latest scan
+   */
+  merge(screenCells) {
+    const rows = screenCells.length;
+    const cols = rows > 0 ? screenCells[0].length : 0;
+    let merged = 0;
+    const changed = [];
+
+    this.view = { rows, cols };
+
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const screenCell = screenCells[row][col];
+        if (screenCell.state === 'unknown') continue;
+
+        const worldRow = row + this.origin.row;
+        const worldCol = col + this.origin.col;
+        const key = `${worldRow},${worldCol}`;
+
+        const existing = this.cells.get(key);
+        const cell = existing || { row: worldRow, col: worldCol };
+
+        // A new reading earns the cell fresh recapture attempts
+        if (!existing || cell.state !== screenCell.state || cell.value !== screenCell.value) {
+          cell.recaptures = 0;
+          changed.push(cell);
+        }
+        cell.state = screenCell.state;
+        cell.value = screenCell.value;
+        cell.confidence = screenCell.confidence;
+
+        // A remembered mine stays a mine while the game still shows the cell covered
+        if (cell.knownMine && screenCell.state === 'revealed') {
+          log('warn', `Known mine at (${worldRow},${worldCol}) shows as revealed, forgetting it`);
+          cell.knownMine = false;
+        }
+        screenCell.knownMine = Boolean(cell.knownMine);
+
+        this.cells.set(key, cell);
+        merged++;
+      }
+    }
+
+    for (const cell of changed) this.updateFrontier(cell.row, cell.col);
+
+    log('debug', `Merged ${merged} cells at offset (${this.origin.row},${this.origin.col}), ` +
+      `${this.cells.size} cells known`);
+  },
+
+  /**
+   * Move the visible window after the board scrolled
+   * @param {number} rows - Rows the window moved (positive = further down the board)
+   * @param {number} cols - Columns the window moved (positive = further right)
+   */
+  shift(rows, cols) {
+    this.origin.row += rows;
+    this.origin.col += cols;
+    log('debug', `World origin now (${this.origin.row},${this.origin.col})`);
+  },
+
+  /**
+   * Estimate the window movement for a swipe, in whole cells
+   * @param {string} direction - Scroll direction passed to actions.scroll()
+   * @param {number} distance - Swipe distance in pixels
+   * @param {number} cellSize - Cell size in pixels
+   * @returns {Object} {rows, cols} window movement
+   */
+  scrollToCells(direction, distance, cellSize) {
+    const cells = Math.round(distance / cellSize);
+
+    switch (direction) {
+      case 'down': return { rows: cells, cols: 0 };
+      case 'up': return { rows: -cells, cols: 0 };
+      case 'left': return { rows: 0, cols: -cells };
+      case 'right': return { rows: 0, cols: cells };
+      default: return { rows: 0, cols: 0 };
+    }
+  },
+
+  /**
+   * Remember a cell as a mine without flagging it in the game (flagless play)
+   * @param {number} row - World row
+   * @param {number} col - World column
+   * @returns {boolean} True if the cell wasn't already remembered
+   */
+  markMine(row, col) {
+    const cell = this.getCell(row, col);
+    if (!cell || cell.knownMine) return false;
+
+    cell.knownMine = true;
+    this.updateFrontier(row, col);
+    log('debug', `Remembered mine at (${row},${col})`);
+    return true;
+  },
+
+  /**
+   * Recheck frontier membership of a changed cell and its neighbors
+   * @param {number} row - World row of the changed cell
+   * @param {number} col - World column of the changed cell
+   */
+  updateFrontier(row, col) {
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        const key = `${row + dr},${col + dc}`;
+        const cell = this.cells.get(key);
+        const open = cell && cell.state === 'revealed' && cell.value > 0 &&
+          this.getNeighbors(cell.row, cell.col)
+            .some(n => this.isCovered(n.cell) || n.cell.state === 'offscreen');
+
+        if (open) this.frontier.set(key, cell);
+        else this.frontier.delete(key);
+      }
+    }
+  },
+
+  /**
+   * Check whether a cell counts as a mine: flagged on screen or remembered
+   * @param {Object} cell - Cell object
+   * @returns {boolean} True if flagged or a known mine
+   */
+  isFlagged(cell) {
+    return cell.state === 'flag' || Boolean(cell.knownMine);
+  },
+
+  /**
+   * Check whether a cell is covered and still undecided (not a remembered mine)
+   * @param {Object} cell - Cell object
+   * @returns {boolean} True if covered and not a known mine
+   */
+  isCovered(cell) {
+    return cell.state === 'covered' && !cell.knownMine;
+  },
+
+  /**
+   * Get a known cell
+   * @param {number} row - World row
+   * @param {number} col - World column
+   * @returns {Object|null} Cell object or null if never seen
+   */
+  getCell(row, col) {
+    return this.cells.get(`${row},${col}`) || null;
+  },
+
+  /**
+   * Get all neighbors of a cell. Neighbors never seen are returned as unseen cells
+   * on a board that continues past the screen, and dropped otherwise.
+   * @param {number} row - World row
+   * @param {number} col - World column
+   * @returns {Array<Object>} Array of neighbor cell objects with {row, col, cell}
+   */
+  getNeighbors(row, col) {
+    const neighbors = [];
+
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        if (dr === 0 && dc === 0) continue; // Skip self
+
+        const n = { row: row + dr, col: col + dc, cell: this.getCell(row + dr, col + dc) };
+        if (!n.cell && config.scroll.offscreenNeighbors) n.cell = this.unseenCell;
+        if (n.cell) neighbors.push(n);
+      }
+    }
+
+    return neighbors;
+  },
+
+  /**
+   * Call a function for every known cell
+   * @param {Function} fn - Called with (cell, row, col)
+   */
+  forEachCell(fn) {
+    for (const cell of this.cells.values()) {
+      fn(cell, cell.row, cell.col);
+    }
+  },
+
+  /**
+   * Call a function for every number that still has an undecided neighbor
+   * @param {Function} fn - Called with (cell, row, col)
+   */
+  forEachFrontierCell(fn) {
+    for (const cell of this.frontier.values()) {
+      fn(cell, cell.row, cell.col);
+    }
+  },
+
+  /**
+   * Call a function for every known cell currently on screen
+   * @param {Function} fn - Called with (cell, row, col)
+   */
+  forEachVisibleCell(fn) {
+    for (let r = 0; r < this.view.rows; r++) {
+      for (let c = 0; c < this.view.cols; c++) {
+        const cell = this.getCell(r + this.origin.row, c + this.origin.col);
+        if (cell) fn(cell, cell.row, cell.col);
+      }
+    }
+  },
+
+  /**
+   * Check whether a world cell is currently on screen
+   * @param {number} row - World row
+   * @param {number} col - World column
+   * @returns {boolean} True if visible
+   */
+  isVisible(row, col) {
+    const r = row - this.origin.row;
+    const c = col - this.origin.col;
+    return r >= 0 && r < this.view.rows && c >= 0 && c < this.view.cols;
+  },
+
+  /**
+   * Convert world coordinates to screen grid coordinates
+   * @param {number} row - World row
+   * @param {number} col - World column
+   * @returns {Object} {row, col} grid indices (may be outside the visible grid)
+   */
+  toScreen(row, col) {
+    return { row: row - this.origin.row, col: col - this.origin.col };
+  },
+
+  /**
+   * Pick the scroll direction that brings a world cell on screen
+   * @param {number} row - World row
+   * @param {number} col - World column
+   * @returns {string|null} "up", "down", "left", "right", or null if already visible
+   */
+  directionTo(row, col) {
+    const { row: r, col: c } = this.toScreen(row, col);
+
+    // Distance outside the window along each axis
+    const dy = r < 0 ? r : Math.max(0, r - this.view.rows + 1);
+    const dx = c < 0 ? c : Math.max(0, c - this.view.cols + 1);
+
+    if (dy === 0 && dx === 0) return null;
+    if (Math.abs(dy) >= Math.abs(dx)) return dy < 0 ? 'up' : 'down';
+    return dx < 0 ? 'left' : 'right';
+  },
+
+  /**
+   * Get statistics about every known cell
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    const stats = {
+      total: 0,
+      covered: 0,
+      revealed: 0,
+      flags: 0,
+      knownMines: 0, // Remembered but not flagged (not counted as covered)
+      unknown: 0
+    };
+
+    for (const cell of this.cells.values()) {
+      stats.total++;
+      if (cell.state === 'covered' && cell.knownMine) stats.knownMines++;
+      else if (cell.state === 'covered') stats.covered++;
+      else if (cell.state === 'revealed') stats.revealed++;
+      else if (cell.state === 'flag') stats.flags++;
+      else stats.unknown++;
+    }
+
+    return stats;
+  }
+};
+
+module.exports = world;